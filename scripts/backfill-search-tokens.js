@@ -0,0 +1,60 @@
+// Fill in the name tokens that search suggestions match on, for products and
+// categories saved before they were introduced (new saves set them automatically).
+//
+// Usage: npm run search:backfill-tokens
+//        node scripts/backfill-search-tokens.js --all   (recompute every document)
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Product = require('../src/models/Product');
+const Category = require('../src/models/Category');
+const { getSearchTokens } = require('../src/utils/search');
+
+const BATCH_SIZE = 500;
+
+const backfill = async (Model, all) => {
+  const filter = all ? {} : { searchTokens: { $exists: false } };
+  let operations = [];
+  let updated = 0;
+
+  const cursor = Model.find(filter).select('name').lean().cursor();
+  for await (const doc of cursor) {
+    operations.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: { searchTokens: getSearchTokens(doc.name) } }
+      }
+    });
+
+    if (operations.length === BATCH_SIZE) {
+      await Model.bulkWrite(operations, { ordered: false });
+      updated += operations.length;
+      operations = [];
+    }
+  }
+
+  if (operations.length > 0) {
+    await Model.bulkWrite(operations, { ordered: false });
+    updated += operations.length;
+  }
+
+  return updated;
+};
+
+const run = async () => {
+  const all = process.argv.includes('--all');
+  await mongoose.connect(process.env.MONGO_URI);
+
+  for (const Model of [Product, Category]) {
+    const updated = await backfill(Model, all);
+    console.log(`${Model.modelName}: ${updated} document(s) updated`);
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error('Search token backfill failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
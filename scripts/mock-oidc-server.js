@@ -0,0 +1,185 @@
+// Minimal OpenID Connect provider for trying social login locally.
+//
+// Usage: npm run mock:oidc   (or: node scripts/mock-oidc-server.js [port])
+// Then set OAUTH_PROVIDERS=mock and OAUTH_MOCK_ISSUER=http://localhost:8080
+// (see "Social Login" in the README). Any client id/secret is accepted.
+// Not for production: users pick their own email on the sign-in form.
+
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const PORT = Number(process.argv[2] || process.env.MOCK_OIDC_PORT || 8080);
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CODE_TTL_MS = 60 * 1000;
+const KEY_ID = 'mock-key';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' };
+
+// Pending authorization codes and issued access tokens, kept in memory
+const codes = new Map();
+const accessTokens = new Map();
+
+const escapeHtml = (value) => String(value || '').replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let data = '';
+  req.on('data', (chunk) => { data += chunk; });
+  req.on('end', () => resolve(new URLSearchParams(data)));
+  req.on('error', reject);
+});
+
+// Stable subject per email, so repeated sign-ins map to the same identity
+const subjectFor = (email) => crypto.createHash('sha256').update(email).digest('hex').slice(0, 24);
+
+const renderLoginForm = (params) => {
+  const hidden = [...params]
+    .map(([key, value]) => `<input type="hidden" name="${escapeHtml(key)}" value="${escapeHtml(value)}">`)
+    .join('');
+
+  return `<!DOCTYPE html>
+<html><head><title>Mock OIDC sign-in</title></head>
+<body style="font-family: sans-serif; max-width: 360px; margin: 40px auto;">
+  <h2>Mock OIDC sign-in</h2>
+  <form method="post" action="/authorize">
+    ${hidden}
+    <p><label>Email<br><input name="email" type="email" required style="width: 100%;"></label></p>
+    <p><label>Name<br><input name="name" style="width: 100%;"></label></p>
+    <p><label><input name="email_verified" type="checkbox" value="true" checked> Email verified</label></p>
+    <p><button type="submit">Sign in</button></p>
+  </form>
+</body></html>`;
+};
+
+const handleAuthorize = async (req, res, url) => {
+  if (req.method === 'GET') {
+    if (!url.searchParams.get('redirect_uri')) {
+      return sendJson(res, 400, { error: 'invalid_request', error_description: 'redirect_uri is required' });
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    return res.end(renderLoginForm(url.searchParams));
+  }
+
+  const form = await readBody(req);
+  const email = (form.get('email') || '').trim().toLowerCase();
+  const redirectUri = form.get('redirect_uri');
+
+  if (!email || !redirectUri) {
+    return sendJson(res, 400, { error: 'invalid_request', error_description: 'email and redirect_uri are required' });
+  }
+
+  const code = crypto.randomBytes(16).toString('hex');
+  codes.set(code, {
+    clientId: form.get('client_id'),
+    redirectUri,
+    nonce: form.get('nonce'),
+    codeChallenge: form.get('code_challenge'),
+    expiresAt: Date.now() + CODE_TTL_MS,
+    claims: {
+      sub: subjectFor(email),
+      email,
+      email_verified: form.get('email_verified') === 'true',
+      name: form.get('name') || undefined
+    }
+  });
+
+  const location = new URL(redirectUri);
+  location.searchParams.set('code', code);
+  if (form.get('state')) {
+    location.searchParams.set('state', form.get('state'));
+  }
+
+  res.writeHead(302, { Location: location.toString() });
+  res.end();
+};
+
+const handleToken = async (req, res) => {
+  const form = await readBody(req);
+
+  // Client id comes from HTTP Basic auth (confidential) or the body (public)
+  let clientId = form.get('client_id');
+  const authorization = req.headers.authorization || '';
+  if (authorization.startsWith('Basic ')) {
+    const credentials = Buffer.from(authorization.slice(6), 'base64').toString();
+    clientId = decodeURIComponent(credentials.split(':')[0]);
+  }
+
+  const grant = codes.get(form.get('code'));
+  codes.delete(form.get('code'));
+
+  if (!grant || grant.expiresAt < Date.now() || grant.clientId !== clientId ||
+      grant.redirectUri !== form.get('redirect_uri')) {
+    return sendJson(res, 400, { error: 'invalid_grant', error_description: 'Code is invalid or has expired' });
+  }
+
+  if (grant.codeChallenge) {
+    const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+    if (challenge !== grant.codeChallenge) {
+      return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+  }
+
+  const idToken = jwt.sign({ ...grant.claims, nonce: grant.nonce }, privateKey, {
+    algorithm: 'RS256',
+    keyid: KEY_ID,
+    issuer: ISSUER,
+    audience: clientId,
+    expiresIn: '5m'
+  });
+  const accessToken = crypto.randomBytes(16).toString('hex');
+  accessTokens.set(accessToken, grant.claims);
+
+  sendJson(res, 200, {
+    token_type: 'Bearer',
+    access_token: accessToken,
+    id_token: idToken,
+    expires_in: 300
+  });
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER);
+
+  try {
+    switch (url.pathname) {
+      case '/.well-known/openid-configuration':
+        return sendJson(res, 200, {
+          issuer: ISSUER,
+          authorization_endpoint: `${ISSUER}/authorize`,
+          token_endpoint: `${ISSUER}/token`,
+          userinfo_endpoint: `${ISSUER}/userinfo`,
+          jwks_uri: `${ISSUER}/jwks`,
+          response_types_supported: ['code'],
+          subject_types_supported: ['public'],
+          id_token_signing_alg_values_supported: ['RS256'],
+          code_challenge_methods_supported: ['S256']
+        });
+      case '/jwks':
+        return sendJson(res, 200, { keys: [jwk] });
+      case '/authorize':
+        return await handleAuthorize(req, res, url);
+      case '/token':
+        return await handleToken(req, res);
+      case '/userinfo': {
+        const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+        const claims = accessTokens.get(token);
+        return claims ? sendJson(res, 200, claims) : sendJson(res, 401, { error: 'invalid_token' });
+      }
+      default:
+        return sendJson(res, 404, { error: 'not_found' });
+    }
+  } catch (error) {
+    console.error('Mock OIDC request failed:', error);
+    sendJson(res, 500, { error: 'server_error' });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock OIDC provider running at ${ISSUER}`);
+});
@@ -0,0 +1,28 @@
+// Rebuild the search vocabulary (used for "did you mean" corrections) from
+// the active products' names, descriptions and tags.
+//
+// Usage: npm run search:rebuild-terms
+//
+// Saving a product adds its new words straight away; run this after the first
+// deploy, after bulk changes made outside the API, or from a nightly job to
+// drop words that no product uses any more.
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+require('../src/models/Product');
+const SearchTerm = require('../src/models/SearchTerm');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const { words, removed } = await SearchTerm.rebuild();
+  console.log(`Search vocabulary rebuilt: ${words} words, ${removed} unused words removed`);
+};
+
+run()
+  .catch((error) => {
+    console.error('Search vocabulary rebuild failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,44 @@
+// Bring MongoDB indexes in line with the schemas after an upgrade.
+//
+// Usage: npm run db:sync-indexes            (models listed below)
+//        node scripts/sync-indexes.js Cart   (only the named models)
+//
+// Mongoose only creates missing indexes on startup; it never drops or
+// rebuilds existing ones. syncIndexes() drops indexes whose keys or options
+// no longer match the schema (and any index the schema does not declare),
+// then builds the missing ones.
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+
+// Models whose indexes changed in a way that needs an existing index rebuilt
+const MODELS = {
+  // user_1 became sparse so guest carts (no user) can coexist
+  Cart: () => require('../src/models/Cart'),
+  // name_1 was replaced by { parent, name } so names only need to be unique among siblings
+  Category: () => require('../src/models/Category')
+};
+
+const run = async () => {
+  const names = process.argv.slice(2).length ? process.argv.slice(2) : Object.keys(MODELS);
+
+  const unknown = names.filter(name => !MODELS[name]);
+  if (unknown.length) {
+    throw new Error(`Unknown model(s): ${unknown.join(', ')}. Available: ${Object.keys(MODELS).join(', ')}`);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  for (const name of names) {
+    const dropped = await MODELS[name]().syncIndexes();
+    console.log(`${name}: ${dropped.length ? `dropped ${dropped.join(', ')}` : 'no stale indexes'}, indexes in sync`);
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error('Index sync failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
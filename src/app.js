@@ -11,16 +11,22 @@ const productRoutes = require('./routes/product');
 const cartRoutes = require('./routes/cart');
 const wishlistRoutes = require('./routes/wishlist');
 const orderRoutes = require('./routes/order');
+const adminRoutes = require('./routes/admin');
 
 const app = express();
 
+// Number of reverse proxies in front of the app (e.g. 1 on Render), so req.ip is the client address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10));
+}
+
 // Middleware
 app.use(
   cors({
     origin: [process.env.FRONTEND_URL, process.env.ADMIN_URL],
     credentials: true,
     methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-Guest-Token", "X-API-Key"],
     exposedHeaders: ["set-cookie"],
   })
 );
@@ -60,6 +66,7 @@ app.use('/api/products', productRoutes);
 app.use('/api/cart', cartRoutes);
 app.use('/api/wishlist', wishlistRoutes);
 app.use('/api/orders', orderRoutes);
+app.use('/api/admin', adminRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -0,0 +1,42 @@
+// Named permissions checked by requirePermission()
+const PERMISSIONS = {
+  'products:write': 'Create, update and delete products',
+  'categories:write': 'Create, update and delete categories',
+  'reviews:moderate': 'Approve, reject and delete product reviews',
+  'orders:read': 'View all customer orders',
+  'orders:update': 'Update order payment, delivery and status',
+  'users:read': 'View user accounts',
+  'users:write': 'Change roles, deactivate, unlock, invite and delete users',
+  'roles:manage': 'Create and edit roles',
+  'apikeys:manage': 'Create and revoke API keys'
+};
+
+// Built-in roles; any of them except `admin` can be overridden from /api/admin/roles.
+// `admin` always has every permission and `user` (customers) none by default.
+const DEFAULT_ROLES = {
+  admin: {
+    description: 'Full access to every feature',
+    permissions: Object.keys(PERMISSIONS),
+    isSystem: true
+  },
+  user: {
+    description: 'Customer account',
+    permissions: [],
+    isSystem: true
+  },
+  warehouse: {
+    description: 'Warehouse staff - order fulfilment',
+    permissions: ['orders:read', 'orders:update'],
+    isSystem: false
+  },
+  editor: {
+    description: 'Content editor - catalog management',
+    permissions: ['products:write', 'categories:write', 'reviews:moderate'],
+    isSystem: false
+  }
+};
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLES
+};
@@ -0,0 +1,130 @@
+const User = require('../models/User');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const MAX_ADDRESSES = 10;
+
+// @desc    Get saved addresses
+// @route   GET /api/auth/addresses
+// @access  Private
+const getAddresses = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select('addresses');
+
+  res.json({
+    success: true,
+    count: user.addresses.length,
+    data: user.addresses
+  });
+});
+
+// @desc    Add address
+// @route   POST /api/auth/addresses
+// @access  Private
+const addAddress = asyncHandler(async (req, res) => {
+  const { isDefaultShipping, isDefaultBilling, ...fields } = req.body;
+
+  const user = await User.findById(req.user.id);
+
+  if (user.addresses.length >= MAX_ADDRESSES) {
+    return res.status(400).json({
+      success: false,
+      message: `You can save up to ${MAX_ADDRESSES} addresses`
+    });
+  }
+
+  user.addresses.push(fields);
+  const address = user.addresses[user.addresses.length - 1];
+
+  // The first address becomes the default for both shipping and billing
+  const isFirst = user.addresses.length === 1;
+  user.setDefaultAddress(address, {
+    shipping: isDefaultShipping || isFirst,
+    billing: isDefaultBilling || isFirst
+  });
+
+  await user.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Address added successfully',
+    data: user.addresses
+  });
+});
+
+// @desc    Update address
+// @route   PUT /api/auth/addresses/:addressId
+// @access  Private
+const updateAddress = asyncHandler(async (req, res) => {
+  const { isDefaultShipping, isDefaultBilling, ...fields } = req.body;
+
+  const user = await User.findById(req.user.id);
+  const address = user.addresses.id(req.params.addressId);
+
+  if (!address) {
+    return res.status(404).json({
+      success: false,
+      message: 'Address not found'
+    });
+  }
+
+  address.set(fields);
+
+  if (isDefaultShipping !== undefined) {
+    address.isDefaultShipping = isDefaultShipping;
+  }
+  if (isDefaultBilling !== undefined) {
+    address.isDefaultBilling = isDefaultBilling;
+  }
+  user.setDefaultAddress(address, {
+    shipping: isDefaultShipping === true,
+    billing: isDefaultBilling === true
+  });
+
+  await user.save();
+
+  res.json({
+    success: true,
+    message: 'Address updated successfully',
+    data: user.addresses
+  });
+});
+
+// @desc    Delete address
+// @route   DELETE /api/auth/addresses/:addressId
+// @access  Private
+const deleteAddress = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+  const address = user.addresses.id(req.params.addressId);
+
+  if (!address) {
+    return res.status(404).json({
+      success: false,
+      message: 'Address not found'
+    });
+  }
+
+  const { isDefaultShipping, isDefaultBilling } = address;
+  address.deleteOne();
+
+  // Hand the removed address's default flags to the first remaining one
+  if (user.addresses.length > 0) {
+    user.setDefaultAddress(user.addresses[0], {
+      shipping: isDefaultShipping,
+      billing: isDefaultBilling
+    });
+  }
+
+  await user.save();
+
+  res.json({
+    success: true,
+    message: 'Address deleted successfully',
+    data: user.addresses
+  });
+});
+
+module.exports = {
+  getAddresses,
+  addAddress,
+  updateAddress,
+  deleteAddress
+};
@@ -0,0 +1,88 @@
+const ApiKey = require('../models/ApiKey');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// @desc    Get API keys
+// @route   GET /api/admin/api-keys
+// @access  Private (apikeys:manage)
+const getApiKeys = asyncHandler(async (req, res) => {
+  const filter = req.query.includeRevoked === 'true' ? {} : { revokedAt: null };
+
+  const apiKeys = await ApiKey.find(filter)
+    .populate('createdBy', 'name email')
+    .sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    count: apiKeys.length,
+    data: apiKeys
+  });
+});
+
+// @desc    Create API key
+// @route   POST /api/admin/api-keys
+// @access  Private (apikeys:manage)
+const createApiKey = asyncHandler(async (req, res) => {
+  const { name, scopes, expiresInDays } = req.body;
+
+  // A key can never do more than the admin who created it
+  const granted = await req.user.getPermissions();
+  const notGranted = scopes.filter(scope => !granted.includes(scope));
+  if (notGranted.length > 0) {
+    return res.status(403).json({
+      success: false,
+      message: `You cannot grant permissions you do not have: ${notGranted.join(', ')}`
+    });
+  }
+
+  const apiKey = new ApiKey({
+    name,
+    scopes,
+    createdBy: req.user.id,
+    expiresAt: expiresInDays ? Date.now() + expiresInDays * 24 * 60 * 60 * 1000 : null
+  });
+  const key = apiKey.generateKey();
+  await apiKey.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'API key created. Copy it now - it will not be shown again.',
+    data: {
+      id: apiKey._id,
+      name: apiKey.name,
+      prefix: apiKey.prefix,
+      scopes: apiKey.scopes,
+      expiresAt: apiKey.expiresAt,
+      key
+    }
+  });
+});
+
+// @desc    Revoke API key
+// @route   DELETE /api/admin/api-keys/:id
+// @access  Private (apikeys:manage)
+const revokeApiKey = asyncHandler(async (req, res) => {
+  const apiKey = await ApiKey.findOneAndUpdate(
+    { _id: req.params.id, revokedAt: null },
+    { revokedAt: Date.now() },
+    { new: true }
+  );
+
+  if (!apiKey) {
+    return res.status(404).json({
+      success: false,
+      message: 'API key not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'API key revoked successfully',
+    data: apiKey
+  });
+});
+
+module.exports = {
+  getApiKeys,
+  createApiKey,
+  revokeApiKey
+};
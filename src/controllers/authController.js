@@ -1,16 +1,131 @@
 const User = require('../models/User');
-const { generateToken } = require('../middleware/auth');
+const Cart = require('../models/Cart');
+const Wishlist = require('../models/Wishlist');
+const Order = require('../models/Order');
+const Review = require('../models/Review');
+const OAuthState = require('../models/OAuthState');
+const {
+  generateToken,
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken
+} = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { getUploadUrl, deleteUploadedFile } = require('../utils/uploads');
 const { sendMail, sendMailAsync } = require('../services/emailService');
-const { getEmailVerificationTemplate, getWelcomeTemplate } = require('../services/emailTemplates');
+const {
+  getEmailVerificationTemplate,
+  getMagicLinkTemplate,
+  getWelcomeTemplate,
+  getPasswordResetTemplate,
+  getAccountLockedTemplate,
+  getEmailChangeNoticeTemplate
+} = require('../services/emailTemplates');
+const { generateSecret, getOtpauthUrl, verifyToken } = require('../services/totpService');
+const { getProvider, listProviders, generatePkcePair } = require('../services/oauthService');
 const crypto = require('crypto');
 
+// Sessions started this recently count as re-authentication for sensitive actions
+const RECENT_LOGIN_MINUTES = 10;
+
+// Send an error response if the account is locked or must wait before another attempt
+const rejectIfThrottled = (user, res) => {
+  if (user.isLocked()) {
+    const minutesLeft = Math.ceil((user.lockUntil - Date.now()) / 60000);
+    res.status(423).json({
+      success: false,
+      message: `Account is temporarily locked due to too many failed login attempts. Try again in ${minutesLeft} minute(s).`
+    });
+    return true;
+  }
+
+  // Enforce progressive delay between failed attempts
+  const loginDelay = user.getLoginDelay();
+  if (loginDelay > 0) {
+    const secondsLeft = Math.ceil(loginDelay / 1000);
+    res.set('Retry-After', String(secondsLeft));
+    res.status(429).json({
+      success: false,
+      message: `Too many failed login attempts. Please wait ${secondsLeft} second(s) before trying again.`
+    });
+    return true;
+  }
+
+  return false;
+};
+
+// Record a failed login attempt and send the matching error response
+const rejectLoginAttempt = async (user, res, message) => {
+  const lockUntil = await user.registerFailedLogin();
+
+  if (lockUntil) {
+    const lockMinutes = Math.ceil((lockUntil - Date.now()) / 60000);
+
+    // Let the account owner know (non-blocking)
+    sendMailAsync({
+      to: user.email,
+      subject: '🔒 Your Account Has Been Temporarily Locked',
+      html: getAccountLockedTemplate(user.name, lockMinutes)
+    });
+
+    return res.status(423).json({
+      success: false,
+      message: `Too many failed login attempts. Account is locked for ${lockMinutes} minute(s).`
+    });
+  }
+
+  return res.status(401).json({
+    success: false,
+    message
+  });
+};
+
+// Ask for the second factor before a session is started
+const sendTwoFactorChallenge = (user, res) => {
+  res.json({
+    success: true,
+    message: 'Two-factor authentication code required',
+    data: {
+      twoFactorRequired: true,
+      challengeToken: generateTwoFactorChallengeToken(user._id)
+    }
+  });
+};
+
+// Start a session for this device and send the access/refresh token pair
+const sendLoginResponse = async (user, req, res) => {
+  user.resetLoginAttempts();
+  const { sessionId, refreshToken } = user.createSession({
+    userAgent: req.get('user-agent'),
+    ip: req.ip
+  });
+  await user.save({ validateBeforeSave: false });
+
+  const token = generateToken(user._id, sessionId);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        twoFactorEnabled: user.twoFactorEnabled
+      },
+      token,
+      refreshToken,
+      twoFactorSetupRequired: user.requiresTwoFactor() && !user.twoFactorEnabled
+    }
+  });
+};
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
 const register = asyncHandler(async (req, res) => {
   const startTime = Date.now();
-  const { name, email, password ,role} = req.body;
+  const { name, email, password } = req.body;
 
   console.log('🚀 [REGISTER] Starting registration process:', {
     email: email,
@@ -34,12 +149,13 @@ const register = asyncHandler(async (req, res) => {
   console.log('✅ [REGISTER] User does not exist, proceeding with creation...');
 
   // Create user with verification token in one operation
+  // (public sign-ups are always customers; admins join through invitations)
   console.log('👤 [REGISTER] Creating user...');
   const user = await User.create({
     name,
     email,
     password,
-    role: role || 'user'
+    role: 'user'
   });
 
   console.log('✅ [REGISTER] User created successfully:', {
@@ -110,7 +226,7 @@ const login = asyncHandler(async (req, res) => {
   const { email, password } = req.body;
 
   // Check if user exists
-  const user = await User.findOne({ email }).select('+password');
+  const user = await User.findOne({ email }).select('+password +sessions');
   if (!user) {
     return res.status(401).json({
       success: false,
@@ -118,6 +234,11 @@ const login = asyncHandler(async (req, res) => {
     });
   }
 
+  // Check if account is locked or throttled
+  if (rejectIfThrottled(user, res)) {
+    return;
+  }
+
   // Check if account is active
   if (!user.isActive) {
     return res.status(401).json({
@@ -137,26 +258,351 @@ const login = asyncHandler(async (req, res) => {
   // Check password
   const isPasswordValid = await user.comparePassword(password);
   if (!isPasswordValid) {
+    return rejectLoginAttempt(user, res, 'Invalid email or password');
+  }
+
+  // Second step required: failed attempts are only cleared once the code is verified
+  if (user.twoFactorEnabled) {
+    return sendTwoFactorChallenge(user, res);
+  }
+
+  await sendLoginResponse(user, req, res);
+});
+
+// @desc    Email a one-time sign-in link
+// @route   POST /api/auth/magic-link
+// @access  Public
+const requestMagicLink = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  const user = await User.findOne({ email });
+
+  // Always answer the same way so the endpoint cannot be used to probe for accounts
+  const genericResponse = {
+    success: true,
+    message: 'If an account exists for this email, a sign-in link has been sent'
+  };
+
+  if (!user || !user.isActive) {
+    return res.json(genericResponse);
+  }
+
+  // Generate sign-in token (replaces any previously issued one)
+  const signInToken = user.generateMagicLinkToken();
+  await user.save({ validateBeforeSave: false });
+
+  const baseUrl = process.env.FRONTEND_URL || `${req.protocol}://${req.get('host')}`;
+  const signInUrl = `${baseUrl}/magic-link?token=${signInToken}`;
+  const expiresMinutes = Math.round((user.magicLinkExpires - Date.now()) / 60000);
+
+  res.json(genericResponse);
+
+  sendMailAsync({
+    to: user.email,
+    subject: '✨ Your Sign-In Link - PICH STORE',
+    html: getMagicLinkTemplate(user.name, signInUrl, expiresMinutes)
+  });
+});
+
+// @desc    Sign in with an emailed one-time link
+// @route   POST /api/auth/magic-link/verify
+// @access  Public
+const verifyMagicLink = asyncHandler(async (req, res) => {
+  // Hash the token to compare with stored hashed token
+  const hashedToken = crypto.createHash('sha256').update(req.body.token).digest('hex');
+
+  const user = await User.findOne({
+    magicLinkToken: hashedToken,
+    magicLinkExpires: { $gt: Date.now() }
+  }).select('+sessions');
+
+  if (!user) {
+    return res.status(400).json({
+      success: false,
+      message: 'Sign-in link is invalid or has expired'
+    });
+  }
+
+  if (!user.isActive) {
     return res.status(401).json({
       success: false,
-      message: 'Invalid email or password'
+      message: 'Account is deactivated'
     });
   }
 
-  // Generate token
-  const token = generateToken(user._id);
+  // Invalidate the token so the link cannot be reused
+  user.magicLinkToken = undefined;
+  user.magicLinkExpires = undefined;
+
+  // The link was delivered to this address, so it counts as verified
+  if (!user.isEmailVerified) {
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await Order.claimGuestOrders(user);
+  }
+
+  if (user.twoFactorEnabled) {
+    await user.save({ validateBeforeSave: false });
+    return sendTwoFactorChallenge(user, res);
+  }
+
+  await sendLoginResponse(user, req, res);
+});
+
+// @desc    List configured social login providers
+// @route   GET /api/auth/oauth/providers
+// @access  Public
+const getOAuthProviders = asyncHandler(async (req, res) => {
+  const providers = listProviders();
 
   res.json({
     success: true,
-    message: 'Login successful',
+    count: providers.length,
+    data: providers
+  });
+});
+
+// @desc    Start social login (redirects to the provider)
+// @route   GET /api/auth/oauth/:provider
+// @access  Public
+const startOAuthLogin = asyncHandler(async (req, res) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({
+      success: false,
+      message: 'Login provider not found'
+    });
+  }
+
+  const { codeVerifier, codeChallenge } = generatePkcePair();
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const redirectUri = provider.redirectUri ||
+    `${req.protocol}://${req.get('host')}/api/auth/oauth/${provider.name}/callback`;
+
+  const oauthState = new OAuthState({ provider: provider.name, codeVerifier, nonce, redirectUri });
+  const state = oauthState.generateState();
+  await oauthState.save();
+
+  const authorizationUrl = await provider.getAuthorizationUrl({ state, nonce, codeChallenge, redirectUri });
+
+  // Single-page apps can ask for the URL instead of following a redirect
+  if (req.query.redirect === 'false') {
+    return res.json({
+      success: true,
+      data: { authorizationUrl }
+    });
+  }
+
+  res.redirect(authorizationUrl);
+});
+
+// @desc    Finish social login and sign in (or sign up) the user
+// @route   GET|POST /api/auth/oauth/:provider/callback
+// @access  Public
+const oauthCallback = asyncHandler(async (req, res) => {
+  const { code, state, error, error_description: errorDescription } = { ...req.query, ...req.body };
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: errorDescription || `Sign-in was cancelled or denied (${error})`
+    });
+  }
+
+  const provider = getProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({
+      success: false,
+      message: 'Login provider not found'
+    });
+  }
+
+  // Each state value can only be used once
+  const oauthState = code && state && await OAuthState.findOneAndDelete({
+    state: crypto.createHash('sha256').update(String(state)).digest('hex'),
+    provider: provider.name,
+    expiresAt: { $gt: Date.now() }
+  });
+
+  if (!oauthState) {
+    return res.status(400).json({
+      success: false,
+      message: 'Sign-in request is invalid or has expired. Please try again.'
+    });
+  }
+
+  let profile;
+  try {
+    profile = await provider.getProfile({
+      code: String(code),
+      codeVerifier: oauthState.codeVerifier,
+      nonce: oauthState.nonce,
+      redirectUri: oauthState.redirectUri
+    });
+  } catch (err) {
+    console.error(`OAuth sign-in with ${provider.name} failed:`, err);
+    return res.status(502).json({
+      success: false,
+      message: `Could not complete sign-in with ${provider.displayName}`
+    });
+  }
+
+  let user = await User.findOne({
+    identities: { $elemMatch: { provider: provider.name, subject: profile.subject } }
+  }).select('+sessions');
+  let isNewUser = false;
+
+  if (!user) {
+    // Only a provider-verified email may be linked to (or create) an account
+    if (!profile.email || !profile.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: `Your ${provider.displayName} account has no verified email address`
+      });
+    }
+
+    user = await User.findOne({ email: profile.email }).select('+sessions');
+
+    if (!user) {
+      const name = (profile.name || profile.email.split('@')[0]).slice(0, 50);
+      user = new User({
+        name: name.length >= 2 ? name : profile.email.slice(0, 50),
+        email: profile.email,
+        // Unusable random password; a real one can be set with forgot-password
+        password: crypto.randomBytes(32).toString('hex'),
+        isEmailVerified: true
+      });
+      isNewUser = true;
+    } else if (!user.isEmailVerified) {
+      // Nobody proved ownership of this unverified account, so whoever
+      // registered it must not keep access once the real owner links it
+      user.password = crypto.randomBytes(32).toString('hex');
+      user.sessions = [];
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      user.magicLinkToken = undefined;
+      user.magicLinkExpires = undefined;
+    }
+  }
+
+  user.linkIdentity(provider.name, profile);
+
+  if (!user.isActive) {
+    return res.status(401).json({
+      success: false,
+      message: 'Account is deactivated'
+    });
+  }
+
+  // The provider vouched for this address
+  const isNewlyVerified = !user.isEmailVerified && profile.emailVerified && profile.email === user.email;
+  if (isNewlyVerified) {
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+  }
+
+  // Existing accounts are saved as-is, like the other login flows
+  await user.save({ validateBeforeSave: isNewUser });
+
+  if (isNewUser || isNewlyVerified) {
+    await Order.claimGuestOrders(user);
+  }
+
+  if (isNewUser) {
+    sendMailAsync({
+      to: user.email,
+      subject: '🎉 Welcome to PICH STORE!',
+      html: getWelcomeTemplate(user.name)
+    });
+  }
+
+  if (user.twoFactorEnabled) {
+    return sendTwoFactorChallenge(user, res);
+  }
+
+  await sendLoginResponse(user, req, res);
+});
+
+// @desc    Complete login with a two-factor code
+// @route   POST /api/auth/2fa/login
+// @access  Public
+const loginTwoFactor = asyncHandler(async (req, res) => {
+  const { challengeToken, code } = req.body;
+
+  const userId = verifyTwoFactorChallengeToken(challengeToken);
+  const user = userId && await User.findById(userId)
+    .select('+sessions +twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+
+  if (!user || !user.isActive || !user.twoFactorEnabled) {
+    return res.status(401).json({
+      success: false,
+      message: 'Two-factor challenge is invalid or has expired. Please log in again.'
+    });
+  }
+
+  if (rejectIfThrottled(user, res)) {
+    return;
+  }
+
+  if (!user.verifyTwoFactorCode(code)) {
+    return rejectLoginAttempt(user, res, 'Invalid two-factor authentication code');
+  }
+
+  await sendLoginResponse(user, req, res);
+});
+
+// @desc    Exchange refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+const refresh = asyncHandler(async (req, res) => {
+  const hashedToken = crypto.createHash('sha256').update(req.body.refreshToken).digest('hex');
+
+  const user = await User.findOne({ 'sessions.refreshToken': hashedToken }).select('+sessions');
+  const session = user && user.sessions.find(item => item.refreshToken === hashedToken);
+
+  if (!session) {
+    // A token that was already rotated is being replayed, so it may have been
+    // stolen: sign out the whole session, for whoever holds its current token too
+    const revoked = await User.findOneAndUpdate(
+      { 'sessions.previousRefreshTokens': hashedToken },
+      { $pull: { sessions: { previousRefreshTokens: hashedToken } } }
+    ).select('_id');
+
+    if (revoked) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has already been used. The session has been signed out for your security; please log in again.'
+      });
+    }
+  }
+
+  if (!session || session.expiresAt <= Date.now()) {
+    return res.status(401).json({
+      success: false,
+      message: 'Refresh token is invalid or has expired'
+    });
+  }
+
+  if (!user.isActive) {
+    return res.status(401).json({
+      success: false,
+      message: 'Account is deactivated'
+    });
+  }
+
+  // Rotate the refresh token; the one just presented can no longer be used
+  const refreshToken = user.rotateSessionToken(session);
+  session.ip = req.ip;
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    message: 'Token refreshed successfully',
     data: {
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role
-      },
-      token
+      token: generateToken(user._id, session._id),
+      refreshToken
     }
   });
 });
@@ -174,8 +620,10 @@ const getMe = asyncHandler(async (req, res) => {
         id: user._id,
         name: user.name,
         email: user.email,
+        pendingEmail: user.pendingEmail,
         role: user.role,
-        avatar: user.avatar,
+        permissions: await user.getPermissions(),
+        avatar: getUploadUrl(user.avatar),
         createdAt: user.createdAt
       }
     }
@@ -195,72 +643,268 @@ const getProfile = asyncHandler(async (req, res) => {
         id: user._id,
         name: user.name,
         email: user.email,
+        pendingEmail: user.pendingEmail,
         role: user.role,
-        avatar: user.avatar,
+        permissions: await user.getPermissions(),
+        avatar: getUploadUrl(user.avatar),
         createdAt: user.createdAt
       }
     }
   });
 });
 
-// @desc    Get all users (admin only)
+// @desc    Get all users
 // @route   GET /api/auth/users
-// @access  Private (Admin)
+// @access  Private (users:read)
 const getAllUser = asyncHandler(async (req, res) => {
-  // Check if user is admin
-  if (req.user.role !== 'admin') {
+  const users = await User.find().select('-password -emailVerificationToken -emailVerificationExpires -emailChangeToken -emailChangeExpires -passwordResetToken -passwordResetExpires -magicLinkToken -magicLinkExpires');
+  
+  res.json({
+    success: true,
+    count: users.length,
+    data: { users }
+  });
+});
+
+// @desc    Unlock user account
+// @route   PUT /api/auth/users/:id/unlock
+// @access  Private (users:write)
+const unlockUser = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  if (!(await req.user.canManageRole(user.role))) {
     return res.status(403).json({
       success: false,
-      message: 'Access denied. Admin privileges required.'
+      message: 'You cannot manage a user with permissions you do not have'
     });
   }
 
-  const users = await User.find().select('-password -emailVerificationToken -emailVerificationExpires');
-  
+  user.resetLoginAttempts();
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    message: 'User account unlocked successfully',
+    data: {
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email
+      }
+    }
+  });
+});
+
+// @desc    Update user profile
+// @route   PUT /api/auth/profile
+// @access  Private
+const updateProfile = asyncHandler(async (req, res) => {
+  const { name, email } = req.body;
+
+  const user = await User.findById(req.user.id);
+
+  if (name) {
+    user.name = name;
+  }
+
+  // Email changes are staged until the new address is confirmed
+  let changeToken = null;
+  if (email && email.toLowerCase() !== user.email) {
+    // Check if email is already taken by another user
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already taken'
+      });
+    }
+
+    user.pendingEmail = email;
+    changeToken = user.generateEmailChangeToken();
+  }
+
+  await user.save();
+
+  res.json({
+    success: true,
+    message: changeToken
+      ? 'Profile updated. Please check your new email address to confirm the change.'
+      : 'Profile updated successfully',
+    data: {
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        pendingEmail: user.pendingEmail,
+        role: user.role
+      }
+    }
+  });
+
+  if (changeToken) {
+    const verificationUrl = `${req.protocol}://${req.get('host')}/api/auth/verify?token=${changeToken}`;
+
+    sendMailAsync({
+      to: user.pendingEmail,
+      subject: '📧 Confirm Your New Email Address - PICH STORE',
+      html: getEmailVerificationTemplate(user.name, verificationUrl, false, true)
+    });
+
+    // Let the current address know, in case the change was not requested by its owner
+    sendMailAsync({
+      to: user.email,
+      subject: '⚠️ Email Change Requested - PICH STORE',
+      html: getEmailChangeNoticeTemplate(user.name, user.pendingEmail)
+    });
+  }
+});
+
+// @desc    Upload profile avatar
+// @route   PUT /api/auth/profile/avatar
+// @access  Private
+const updateAvatar = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please upload an image'
+    });
+  }
+
+  const user = await User.findById(req.user.id);
+  const previousAvatar = user.avatar;
+
+  user.avatar = req.file.filename;
+  await user.save({ validateBeforeSave: false });
+
+  // Remove the replaced file from uploads/
+  deleteUploadedFile(previousAvatar);
+
+  res.json({
+    success: true,
+    message: 'Avatar updated successfully',
+    data: {
+      avatar: getUploadUrl(user.avatar)
+    }
+  });
+});
+
+// @desc    Remove profile avatar
+// @route   DELETE /api/auth/profile/avatar
+// @access  Private
+const deleteAvatar = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user.avatar) {
+    return res.status(400).json({
+      success: false,
+      message: 'No avatar to remove'
+    });
+  }
+
+  deleteUploadedFile(user.avatar);
+  user.avatar = null;
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    message: 'Avatar removed successfully'
+  });
+});
+
+// @desc    Export personal data
+// @route   GET /api/auth/me/export
+// @access  Private
+const exportMyData = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+  const cart = await Cart.findOne({ user: req.user.id })
+    .populate('items.product', 'name slug');
+  const wishlist = await Wishlist.findOne({ user: req.user.id })
+    .populate('products', 'name slug');
+  const orders = await Order.find({ user: req.user.id })
+    .sort({ createdAt: -1 });
+  const reviews = await Review.find({ user: req.user.id })
+    .populate('product', 'name slug')
+    .sort({ createdAt: -1 });
+
+  const exportedAt = new Date();
+
+  res.set('Content-Disposition', `attachment; filename="my-data-${exportedAt.toISOString().slice(0, 10)}.json"`);
   res.json({
     success: true,
-    count: users.length,
-    data: { users }
+    data: {
+      exportedAt: exportedAt.toISOString(),
+      profile: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        pendingEmail: user.pendingEmail,
+        role: user.role,
+        avatar: getUploadUrl(user.avatar),
+        isEmailVerified: user.isEmailVerified,
+        twoFactorEnabled: user.twoFactorEnabled,
+        addresses: user.addresses,
+        identities: user.identities,
+        createdAt: user.createdAt,
+        updatedAt: user.updatedAt
+      },
+      cart: cart ? cart.items : [],
+      wishlist: wishlist ? wishlist.products : [],
+      orders,
+      reviews
+    }
   });
 });
 
-// @desc    Update user profile
-// @route   PUT /api/auth/profile
+// @desc    Delete own account (anonymises the user, keeps orders)
+// @route   DELETE /api/auth/me
 // @access  Private
-const updateProfile = asyncHandler(async (req, res) => {
-  const { name, email } = req.body;
+const deleteMyAccount = asyncHandler(async (req, res) => {
+  const { password } = req.body;
+  const user = await User.findById(req.user.id).select('+password +sessions');
 
-  // Check if email is already taken by another user
-  if (email && email !== req.user.email) {
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
+  // Confirm with the password, or by having just signed in (any method, so
+  // accounts without a known password can be deleted too)
+  if (password !== undefined) {
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
       return res.status(400).json({
         success: false,
-        message: 'Email is already taken'
+        message: 'Password is incorrect'
+      });
+    }
+  } else {
+    const session = user.sessions.id(req.sessionId);
+    const isRecentLogin = session && session.createdAt > Date.now() - RECENT_LOGIN_MINUTES * 60 * 1000;
+    if (!isRecentLogin) {
+      return res.status(401).json({
+        success: false,
+        message: `Please enter your password, or sign in again within ${RECENT_LOGIN_MINUTES} minutes, to delete your account`
       });
     }
   }
 
-  const user = await User.findByIdAndUpdate(
-    req.user.id,
-    { name, email },
-    {
-      new: true,
-      runValidators: true
-    }
-  );
+  const avatar = user.avatar;
+
+  // Orders stay for accounting; everything else personal is removed
+  await Cart.deleteOne({ user: user._id });
+  await Wishlist.deleteOne({ user: user._id });
+  await Review.removeByUser(user._id);
+
+  user.anonymize();
+  await user.save({ validateBeforeSave: false });
+
+  deleteUploadedFile(avatar);
 
   res.json({
     success: true,
-    message: 'Profile updated successfully',
-    data: {
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role
-      }
-    }
+    message: 'Your account has been deleted'
   });
 });
 
@@ -270,7 +914,7 @@ const updateProfile = asyncHandler(async (req, res) => {
 const changePassword = asyncHandler(async (req, res) => {
   const { currentPassword, newPassword } = req.body;
 
-  const user = await User.findById(req.user.id).select('+password');
+  const user = await User.findById(req.user.id).select('+password +sessions');
 
   // Check current password
   const isCurrentPasswordValid = await user.comparePassword(currentPassword);
@@ -281,8 +925,9 @@ const changePassword = asyncHandler(async (req, res) => {
     });
   }
 
-  // Update password
+  // Update password and sign out every other session
   user.password = newPassword;
+  user.sessions = user.sessions.filter(session => session._id.toString() === req.sessionId);
   await user.save();
 
   res.json({
@@ -291,16 +936,104 @@ const changePassword = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Logout user (client-side token removal)
+// @desc    Logout user (revokes current session)
 // @route   POST /api/auth/logout
 // @access  Private
 const logout = asyncHandler(async (req, res) => {
+  await User.updateOne(
+    { _id: req.user._id },
+    { $pull: { sessions: { _id: req.sessionId } } }
+  );
+
   res.json({
     success: true,
     message: 'Logged out successfully'
   });
 });
 
+// @desc    Logout user from every device (revokes all sessions)
+// @route   POST /api/auth/logout-all
+// @access  Private
+const logoutAll = asyncHandler(async (req, res) => {
+  await User.updateOne(
+    { _id: req.user._id },
+    { $set: { sessions: [] } }
+  );
+
+  res.json({
+    success: true,
+    message: 'Logged out from all devices successfully'
+  });
+});
+
+// Build the HTML page shown when email verification fails
+const getVerificationErrorPage = (icon, title, message) => `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Verification Error - MVP Ecommerce</title>
+      <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body {
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+          min-height: 100vh;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          padding: 20px;
+        }
+        .container {
+          background: white;
+          border-radius: 20px;
+          padding: 50px;
+          max-width: 500px;
+          width: 100%;
+          box-shadow: 0 20px 60px rgba(0,0,0,0.3);
+          text-align: center;
+        }
+        .icon {
+          font-size: 80px;
+          margin-bottom: 20px;
+        }
+        h1 {
+          color: #e53e3e;
+          font-size: 28px;
+          margin-bottom: 15px;
+        }
+        p {
+          color: #666;
+          font-size: 16px;
+          line-height: 1.6;
+          margin-bottom: 30px;
+        }
+        .button {
+          display: inline-block;
+          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+          color: white;
+          padding: 15px 40px;
+          border-radius: 50px;
+          text-decoration: none;
+          font-weight: 600;
+          transition: transform 0.2s;
+        }
+        .button:hover {
+          transform: translateY(-2px);
+        }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="icon">${icon}</div>
+        <h1>${title}</h1>
+        <p>${message}</p>
+      </div>
+    </body>
+    </html>
+  `;
+
 // @desc    Verify email
 // @route   GET /api/auth/verify
 // @access  Public
@@ -308,170 +1041,81 @@ const verify = asyncHandler(async (req, res) => {
   const { token } = req.query;
 
   if (!token) {
-    return res.status(400).send(`
-      <!DOCTYPE html>
-      <html lang="en">
-      <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Verification Error - MVP Ecommerce</title>
-        <style>
-          * { margin: 0; padding: 0; box-sizing: border-box; }
-          body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            min-height: 100vh;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            padding: 20px;
-          }
-          .container {
-            background: white;
-            border-radius: 20px;
-            padding: 50px;
-            max-width: 500px;
-            width: 100%;
-            box-shadow: 0 20px 60px rgba(0,0,0,0.3);
-            text-align: center;
-          }
-          .icon {
-            font-size: 80px;
-            margin-bottom: 20px;
-          }
-          h1 {
-            color: #e53e3e;
-            font-size: 28px;
-            margin-bottom: 15px;
-          }
-          p {
-            color: #666;
-            font-size: 16px;
-            line-height: 1.6;
-            margin-bottom: 30px;
-          }
-          .button {
-            display: inline-block;
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            color: white;
-            padding: 15px 40px;
-            border-radius: 50px;
-            text-decoration: none;
-            font-weight: 600;
-            transition: transform 0.2s;
-          }
-          .button:hover {
-            transform: translateY(-2px);
-          }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="icon">❌</div>
-          <h1>Verification Failed</h1>
-          <p>Verification token is missing or invalid. Please check your email for the correct verification link.</p>
-        </div>
-      </body>
-      </html>
-    `);
+    return res.status(400).send(getVerificationErrorPage(
+      '❌',
+      'Verification Failed',
+      'Verification token is missing or invalid. Please check your email for the correct verification link.'
+    ));
   }
 
   // Hash the token to compare with stored hashed token
   const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
 
   // Find user with this token and check if it's not expired
-  const user = await User.findOne({
+  let user = await User.findOne({
     emailVerificationToken: hashedToken,
     emailVerificationExpires: { $gt: Date.now() }
   });
 
+  // Otherwise the token may confirm a pending email change
+  let isEmailChange = false;
   if (!user) {
-    return res.status(400).send(`
-      <!DOCTYPE html>
-      <html lang="en">
-      <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Verification Error - MVP Ecommerce</title>
-        <style>
-          * { margin: 0; padding: 0; box-sizing: border-box; }
-          body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            min-height: 100vh;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            padding: 20px;
-          }
-          .container {
-            background: white;
-            border-radius: 20px;
-            padding: 50px;
-            max-width: 500px;
-            width: 100%;
-            box-shadow: 0 20px 60px rgba(0,0,0,0.3);
-            text-align: center;
-          }
-          .icon {
-            font-size: 80px;
-            margin-bottom: 20px;
-          }
-          h1 {
-            color: #e53e3e;
-            font-size: 28px;
-            margin-bottom: 15px;
-          }
-          p {
-            color: #666;
-            font-size: 16px;
-            line-height: 1.6;
-            margin-bottom: 30px;
-          }
-          .button {
-            display: inline-block;
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            color: white;
-            padding: 15px 40px;
-            border-radius: 50px;
-            text-decoration: none;
-            font-weight: 600;
-            transition: transform 0.2s;
-          }
-          .button:hover {
-            transform: translateY(-2px);
-          }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="icon">⏰</div>
-          <h1>Link Expired</h1>
-          <p>This verification link is invalid or has expired. Please request a new verification email.</p>
-        </div>
-      </body>
-      </html>
-    `);
+    user = await User.findOne({
+      emailChangeToken: hashedToken,
+      emailChangeExpires: { $gt: Date.now() }
+    });
+    isEmailChange = !!user;
   }
 
-  // Update user's email verification status
-  user.isEmailVerified = true;
-  user.emailVerificationToken = undefined;
-  user.emailVerificationExpires = undefined;
-  await user.save({ validateBeforeSave: false });
+  if (!user) {
+    return res.status(400).send(getVerificationErrorPage(
+      '⏰',
+      'Link Expired',
+      'This verification link is invalid or has expired. Please request a new verification email.'
+    ));
+  }
 
-  // Send welcome email after successful verification
-  try {
-    await sendMail({
-      to: user.email,
-      subject: '🎉 Welcome to MVP Ecommerce - Account Verified!',
-      html: getWelcomeTemplate(user.name)
-    });
-  } catch (emailError) {
-    console.error('Welcome email failed:', emailError);   
-    // Don't fail the verification if welcome email fails
+  if (isEmailChange) {
+    // The address may have been claimed since the change was requested
+    const emailTaken = await User.findOne({ email: user.pendingEmail, _id: { $ne: user._id } }).select('_id');
+    if (emailTaken) {
+      return res.status(400).send(getVerificationErrorPage(
+        '⚠️',
+        'Email Unavailable',
+        'This email address is already used by another account. Your email address has not been changed.'
+      ));
+    }
+
+    // Apply the confirmed email change
+    user.email = user.pendingEmail;
+    user.pendingEmail = undefined;
+    user.emailChangeToken = undefined;
+    user.emailChangeExpires = undefined;
+    user.isEmailVerified = true;
+    await user.save({ validateBeforeSave: false });
+  } else {
+    // Update user's email verification status
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    // Send welcome email after successful verification
+    try {
+      await sendMail({
+        to: user.email,
+        subject: '🎉 Welcome to MVP Ecommerce - Account Verified!',
+        html: getWelcomeTemplate(user.name)
+      });
+    } catch (emailError) {
+      console.error('Welcome email failed:', emailError);   
+      // Don't fail the verification if welcome email fails
+    }
   }
 
+  // Guest orders placed with the now-verified address join the account
+  await Order.claimGuestOrders(user);
+
   // Send beautiful HTML success page
   res.send(`
     <!DOCTYPE html>
@@ -597,10 +1241,14 @@ const verify = asyncHandler(async (req, res) => {
           <path class="checkmark__check" fill="none" d="M14.1 27.2l7.1 7.2 16.7-16.8"/>
         </svg>
         <h1>Email Verified! 🎉</h1>
-        <p>Congratulations, <strong>${user.name}</strong>! Your email has been successfully verified.</p>
+        <p>${isEmailChange
+          ? `All set, <strong>${user.name}</strong>! Your account email is now <strong>${user.email}</strong>.`
+          : `Congratulations, <strong>${user.name}</strong>! Your email has been successfully verified.`}</p>
         <div class="info-box">
           <strong>✓ What's Next?</strong>
-          <p style="margin: 0; color: #4a5568;">You can now log in to your account and start shopping with us!</p>
+          <p style="margin: 0; color: #4a5568;">${isEmailChange
+            ? 'Use your new email address the next time you log in.'
+            : 'You can now log in to your account and start shopping with us!'}</p>
         </div>
       </div>
     </body>
@@ -664,15 +1312,248 @@ const resend = asyncHandler(async (req, res) => {
   }
 });
 
+// @desc    Request password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  const user = await User.findOne({ email });
+
+  // Always answer the same way so the endpoint cannot be used to probe for accounts
+  const genericResponse = {
+    success: true,
+    message: 'If an account exists for this email, a password reset link has been sent'
+  };
+
+  if (!user || !user.isActive) {
+    return res.json(genericResponse);
+  }
+
+  // Generate reset token (replaces any previously issued one)
+  const resetToken = user.generatePasswordResetToken();
+  await user.save({ validateBeforeSave: false });
+
+  const baseUrl = process.env.FRONTEND_URL || `${req.protocol}://${req.get('host')}`;
+  const resetUrl = `${baseUrl}/reset-password?token=${resetToken}`;
+
+  res.json(genericResponse);
+
+  sendMailAsync({
+    to: user.email,
+    subject: '🔑 Reset Your Password - PICH STORE',
+    html: getPasswordResetTemplate(user.name, resetUrl)
+  });
+});
+
+// @desc    Reset password with emailed token
+// @route   POST /api/auth/reset-password
+// @access  Public
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  // Hash the token to compare with stored hashed token
+  const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+
+  const user = await User.findOne({
+    passwordResetToken: hashedToken,
+    passwordResetExpires: { $gt: Date.now() }
+  });
+
+  if (!user) {
+    return res.status(400).json({
+      success: false,
+      message: 'Password reset link is invalid or has expired'
+    });
+  }
+
+  // Update password, invalidate the token so it cannot be reused
+  // and sign out every existing session
+  user.password = password;
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+  user.sessions = [];
+  user.resetLoginAttempts();
+  await user.save();
+
+  res.json({
+    success: true,
+    message: 'Password has been reset successfully. You can now log in with your new password.'
+  });
+});
+
+// @desc    Start two-factor enrollment
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select('+twoFactorSecret');
+
+  if (user.twoFactorEnabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is already enabled'
+    });
+  }
+
+  // Secret stays pending until a code from it has been verified
+  const secret = generateSecret();
+  user.twoFactorSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    message: 'Scan the QR code with your authenticator app, then verify a code to finish setup',
+    data: {
+      secret,
+      otpauthUrl: getOtpauthUrl(user.email, secret, process.env.NAME || 'PICH STORE')
+    }
+  });
+});
+
+// @desc    Verify code and enable two-factor authentication
+// @route   POST /api/auth/2fa/verify
+// @access  Private
+const verifyTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id)
+    .select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+
+  if (user.twoFactorEnabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is already enabled'
+    });
+  }
+
+  if (!user.twoFactorSecret) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor setup has not been started'
+    });
+  }
+
+  const step = verifyToken(user.twoFactorSecret, req.body.code);
+  if (step === null) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid verification code'
+    });
+  }
+
+  user.twoFactorEnabled = true;
+  user.twoFactorLastUsedStep = step;
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+    data: { recoveryCodes }
+  });
+});
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+
+  const user = await User.findById(req.user.id)
+    .select('+password +twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+
+  if (!user.twoFactorEnabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is not enabled'
+    });
+  }
+
+  if (user.requiresTwoFactor()) {
+    return res.status(403).json({
+      success: false,
+      message: `Two-factor authentication is mandatory for ${user.role} accounts`
+    });
+  }
+
+  const isPasswordValid = await user.comparePassword(password);
+  if (!isPasswordValid || !user.verifyTwoFactorCode(code)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid password or two-factor code'
+    });
+  }
+
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = undefined;
+  user.twoFactorRecoveryCodes = [];
+  user.twoFactorLastUsedStep = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  });
+});
+
+// @desc    Regenerate two-factor recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id)
+    .select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+
+  if (!user.twoFactorEnabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is not enabled'
+    });
+  }
+
+  if (!user.verifyTwoFactorCode(req.body.code)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid two-factor code'
+    });
+  }
+
+  // Replaces every previously issued recovery code
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    message: 'Recovery codes regenerated',
+    data: { recoveryCodes }
+  });
+});
+
 module.exports = {
   register,
   verify,
   resend,
   login,
+  requestMagicLink,
+  verifyMagicLink,
+  getOAuthProviders,
+  startOAuthLogin,
+  oauthCallback,
+  loginTwoFactor,
+  refresh,
   getMe,
   getProfile,
   getAllUser,
+  unlockUser,
   updateProfile,
+  exportMyData,
+  deleteMyAccount,
+  updateAvatar,
+  deleteAvatar,
   changePassword,
-  logout
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  setupTwoFactor,
+  verifyTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
 };
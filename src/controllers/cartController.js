@@ -2,23 +2,71 @@ const Cart = require('../models/Cart');
 const Product = require('../models/Product');
 const { asyncHandler } = require('../middleware/errorHandler');
 
-// @desc    Get user cart
+const MAX_QUANTITY_PER_ITEM = 10;
+
+// Find the cart of the signed-in user or of the guest token holder
+const findCart = (req) => Cart.findByOwner({
+  user: req.user && req.user.id,
+  guestToken: req.guestToken
+});
+
+// Shape returned to guests who have no cart yet
+const emptyCart = () => ({ items: [], totalPrice: 0, totalItems: 0 });
+
+// Product fields returned with cart items
+const CART_PRODUCT_FIELDS = 'name price images slug stock variants';
+
+// Match a cart line by product and (optional) variant
+const isSameLine = (item, productId, variantId) =>
+  item.product.toString() === productId.toString() &&
+  String(item.variant || '') === String(variantId || '');
+
+// Pick the variant being bought; products with variants require one
+const resolveVariant = (product, variantId) => {
+  const variant = product.findVariant(variantId);
+
+  if (variantId && (!variant || !variant.isActive)) {
+    return { error: 'Variant not found', status: 404 };
+  }
+  if (!variant && product.variants.length > 0) {
+    return { error: 'Please choose a variant of this product', status: 400 };
+  }
+  return { variant };
+};
+
+// Stock still available for a cart line
+const getAvailableStock = (product, variantId) => {
+  if (!variantId) {
+    return product.stock;
+  }
+  const variant = product.findVariant(variantId);
+  return variant && variant.isActive ? variant.stock : 0;
+};
+
+// @desc    Get user or guest cart
 // @route   GET /api/cart
-// @access  Private
+// @access  Public (signed-in user or X-Guest-Token)
 const getCart = asyncHandler(async (req, res) => {
-  let cart = await Cart.findOne({ user: req.user.id })
-    .populate('items.product', 'name price images slug stock');
+  let cart = await findCart(req);
 
   if (!cart) {
+    // Guest carts are only created once something is added
+    if (!req.user) {
+      return res.json({
+        success: true,
+        data: emptyCart()
+      });
+    }
     cart = await Cart.create({ user: req.user.id, items: [] });
   }
 
-  // Filter out products that are no longer active or out of stock
-  const validItems = cart.items.filter(item =>
-    item.product &&
-    item.product.stock > 0 &&
-    item.quantity <= item.product.stock
-  );
+  await cart.populate('items.product', CART_PRODUCT_FIELDS);
+
+  // Filter out products (or variants) that are no longer active or out of stock
+  const validItems = cart.items.filter(item => {
+    const available = item.product ? getAvailableStock(item.product, item.variant) : 0;
+    return available > 0 && item.quantity <= available;
+  });
 
   if (validItems.length !== cart.items.length) {
     cart.items = validItems;
@@ -31,11 +79,11 @@ const getCart = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Add item to cart
+// @desc    Add item to cart (starts a guest cart if needed)
 // @route   POST /api/cart/items
-// @access  Private
+// @access  Public (signed-in user or X-Guest-Token)
 const addToCart = asyncHandler(async (req, res) => {
-  const { productId, quantity } = req.body;
+  const { productId, variantId, quantity } = req.body;
 
   // Find the product
   const product = await Product.findById(productId);
@@ -46,71 +94,90 @@ const addToCart = asyncHandler(async (req, res) => {
     });
   }
 
-  // Check stock availability
-  if (product.stock < quantity) {
+  const { variant, error, status } = resolveVariant(product, variantId);
+  if (error) {
+    return res.status(status).json({
+      success: false,
+      message: error
+    });
+  }
+
+  // Check stock availability (per variant when the product has variants)
+  const stock = variant ? variant.stock : product.stock;
+  const price = variant ? variant.price : product.price;
+
+  if (stock < quantity) {
     return res.status(400).json({
       success: false,
-      message: `Only ${product.stock} items available in stock`
+      message: `Only ${stock} items available in stock`
     });
   }
 
   // Find or create cart
-  let cart = await Cart.findOne({ user: req.user.id });
+  let cart = await findCart(req);
+  let guestToken;
 
   if (!cart) {
-    cart = await Cart.create({
-      user: req.user.id,
-      items: []
-    });
+    cart = new Cart({ items: [] });
+    if (req.user) {
+      cart.user = req.user.id;
+    } else {
+      guestToken = cart.generateGuestToken();
+    }
   }
 
-  // Check if item already exists in cart
+  // Check if item (same product and variant) already exists in cart
   const existingItemIndex = cart.items.findIndex(
-    item => item.product.toString() === productId
+    item => isSameLine(item, productId, variant && variant._id)
   );
 
   if (existingItemIndex > -1) {
     // Update quantity
     const newQuantity = cart.items[existingItemIndex].quantity + quantity;
 
-    if (newQuantity > product.stock) {
+    if (newQuantity > stock) {
       return res.status(400).json({
         success: false,
-        message: `Cannot add ${quantity} more items. Only ${product.stock - cart.items[existingItemIndex].quantity} more available`
+        message: `Cannot add ${quantity} more items. Only ${stock - cart.items[existingItemIndex].quantity} more available`
       });
     }
 
     cart.items[existingItemIndex].quantity = newQuantity;
-    cart.items[existingItemIndex].price = product.price;
+    cart.items[existingItemIndex].price = price;
   } else {
     // Add new item
     cart.items.push({
       product: productId,
+      variant: variant ? variant._id : null,
+      sku: variant ? variant.sku : undefined,
       quantity,
-      price: product.price
+      price
     });
   }
 
   await cart.save();
 
   const populatedCart = await Cart.findById(cart._id)
-    .populate('items.product', 'name price images slug stock');
+    .populate('items.product', CART_PRODUCT_FIELDS);
 
   res.status(201).json({
     success: true,
     message: 'Item added to cart successfully',
+    // New guest carts: send this back in the X-Guest-Token header from now on
+    ...(guestToken && { guestToken }),
     data: populatedCart
   });
 });
 
 // @desc    Update cart item quantity
-// @route   PUT /api/cart/items/:productId
-// @access  Private
+// @route   PUT /api/cart/items/:productId?variantId=
+// @access  Public (signed-in user or X-Guest-Token)
 const updateCartItem = asyncHandler(async (req, res) => {
   const { quantity } = req.body;
   const { productId } = req.params;
+  const { variantId } = req.query;
 
-  const cart = await Cart.findOne({ user: req.user.id });
+  const cart = await findCart(req);
   if (!cart) {
     return res.status(404).json({
       success: false,
@@ -119,7 +186,7 @@ const updateCartItem = asyncHandler(async (req, res) => {
   }
 
   const itemIndex = cart.items.findIndex(
-    item => item.product.toString() === productId
+    item => isSameLine(item, productId, variantId)
   );
 
   if (itemIndex === -1) {
@@ -129,22 +196,24 @@ const updateCartItem = asyncHandler(async (req, res) => {
     });
   }
 
-  // Check product stock
+  // Check product (or variant) stock
   const product = await Product.findById(productId);
-  if (!product || product.stock < quantity) {
+  const stock = product ? getAvailableStock(product, variantId) : 0;
+  if (stock < quantity) {
     return res.status(400).json({
       success: false,
-      message: `Only ${product ? product.stock : 0} items available in stock`
+      message: `Only ${stock} items available in stock`
     });
   }
 
+  const variant = product.findVariant(variantId);
   cart.items[itemIndex].quantity = quantity;
-  cart.items[itemIndex].price = product.price;
+  cart.items[itemIndex].price = variant ? variant.price : product.price;
 
   await cart.save();
 
   const populatedCart = await Cart.findById(cart._id)
-    .populate('items.product', 'name price images slug stock');
+    .populate('items.product', CART_PRODUCT_FIELDS);
 
   res.json({
     success: true,
@@ -154,12 +223,13 @@ const updateCartItem = asyncHandler(async (req, res) => {
 });
 
 // @desc    Remove item from cart
-// @route   DELETE /api/cart/items/:productId
-// @access  Private
+// @route   DELETE /api/cart/items/:productId?variantId=
+// @access  Public (signed-in user or X-Guest-Token)
 const removeFromCart = asyncHandler(async (req, res) => {
   const { productId } = req.params;
+  const { variantId } = req.query;
 
-  const cart = await Cart.findOne({ user: req.user.id });
+  const cart = await findCart(req);
   if (!cart) {
     return res.status(404).json({
       success: false,
@@ -168,7 +238,7 @@ const removeFromCart = asyncHandler(async (req, res) => {
   }
 
   const itemIndex = cart.items.findIndex(
-    item => item.product.toString() === productId
+    item => isSameLine(item, productId, variantId)
   );
 
   if (itemIndex === -1) {
@@ -182,7 +252,7 @@ const removeFromCart = asyncHandler(async (req, res) => {
   await cart.save();
 
   const populatedCart = await Cart.findById(cart._id)
-    .populate('items.product', 'name price images slug stock');
+    .populate('items.product', CART_PRODUCT_FIELDS);
 
   res.json({
     success: true,
@@ -193,9 +263,9 @@ const removeFromCart = asyncHandler(async (req, res) => {
 
 // @desc    Clear cart
 // @route   DELETE /api/cart
-// @access  Private
+// @access  Public (signed-in user or X-Guest-Token)
 const clearCart = asyncHandler(async (req, res) => {
-  const cart = await Cart.findOne({ user: req.user.id });
+  const cart = await findCart(req);
 
   if (!cart) {
     return res.status(404).json({
@@ -216,9 +286,9 @@ const clearCart = asyncHandler(async (req, res) => {
 
 // @desc    Get cart count
 // @route   GET /api/cart/count
-// @access  Private
+// @access  Public (signed-in user or X-Guest-Token)
 const getCartCount = asyncHandler(async (req, res) => {
-  const cart = await Cart.findOne({ user: req.user.id });
+  const cart = await findCart(req);
 
   const count = cart ? cart.totalItems : 0;
 
@@ -228,11 +298,70 @@ const getCartCount = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Move a guest cart into the signed-in user's cart
+// @route   POST /api/cart/merge
+// @access  Private (with X-Guest-Token)
+const mergeGuestCart = asyncHandler(async (req, res) => {
+  const guestToken = req.get('x-guest-token');
+  const guestCart = guestToken && await Cart.findOne({ guestToken: Cart.hashGuestToken(guestToken) })
+    .populate('items.product', 'price stock isActive variants');
+
+  if (!guestCart) {
+    return res.status(404).json({
+      success: false,
+      message: 'Guest cart not found'
+    });
+  }
+
+  let cart = await Cart.findOne({ user: req.user.id });
+  if (!cart) {
+    cart = new Cart({ user: req.user.id, items: [] });
+  }
+
+  // Quantities are combined, within the per-item limit and available stock
+  for (const guestItem of guestCart.items) {
+    const product = guestItem.product;
+    const stock = product && product.isActive ? getAvailableStock(product, guestItem.variant) : 0;
+    if (stock < 1) {
+      continue;
+    }
+
+    const variant = product.findVariant(guestItem.variant);
+    const price = variant ? variant.price : product.price;
+    const existing = cart.items.find(item => isSameLine(item, product._id, guestItem.variant));
+    const quantity = Math.min(
+      (existing ? existing.quantity : 0) + guestItem.quantity,
+      MAX_QUANTITY_PER_ITEM,
+      stock
+    );
+
+    if (existing) {
+      existing.quantity = quantity;
+      existing.price = price;
+    } else {
+      cart.items.push({ product: product._id, variant: guestItem.variant, sku: guestItem.sku, quantity, price });
+    }
+  }
+
+  await cart.save();
+  await guestCart.deleteOne();
+
+  const populatedCart = await Cart.findById(cart._id)
+    .populate('items.product', CART_PRODUCT_FIELDS);
+
+  res.json({
+    success: true,
+    message: 'Guest cart merged successfully',
+    data: populatedCart
+  });
+});
+
 module.exports = {
   getCart,
   addToCart,
   updateCartItem,
   removeFromCart,
   clearCart,
-  getCartCount
+  getCartCount,
+  mergeGuestCart
 };
@@ -0,0 +1,271 @@
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { productImportRowValidation } = require('../middleware/validation');
+const { getUploadUrl } = require('../utils/uploads');
+const { parseCsv, toCsvRow, escapeFormula, unescapeFormula } = require('../utils/csv');
+
+// Columns shared by import and export; tags and images are separated by "|"
+const CSV_COLUMNS = ['sku', 'slug', 'name', 'description', 'price', 'stock', 'category', 'tags', 'images'];
+const REQUIRED_COLUMNS = ['name', 'description', 'price', 'stock', 'category'];
+const LIST_SEPARATOR = '|';
+const MAX_IMPORT_ROWS = 5000;
+
+// Absolute http(s) URLs, or uploads the product already uses (checked per row)
+const IMAGE_URL_PATTERN = /^(https?:\/\/\S+|\/uploads\/[^/\s]+)$/;
+
+const splitList = (value) => {
+  return value ? value.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean) : [];
+};
+
+// @desc    Import products from CSV (dryRun=true only reports what would happen)
+// @route   POST /api/admin/products/import
+// @access  Private (products:write)
+const importProducts = asyncHandler(async (req, res) => {
+  const dryRun = req.query.dryRun === 'true';
+
+  // CSV arrives as a multipart "file" field or as a raw text/csv body
+  const text = req.file ? req.file.buffer.toString('utf8') : (typeof req.body === 'string' ? req.body : '');
+  const [header, ...lines] = parseCsv(text);
+
+  if (!header) {
+    return res.status(400).json({
+      success: false,
+      message: 'CSV file is empty. Upload it as the "file" field or send it with Content-Type: text/csv'
+    });
+  }
+
+  const columns = header.map(column => column.trim().toLowerCase());
+  const unknownColumns = columns.filter(column => !CSV_COLUMNS.includes(column));
+  const missingColumns = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+
+  if (unknownColumns.length > 0 || missingColumns.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid CSV header',
+      errors: [
+        ...unknownColumns.map(column => `Unknown column "${column}"`),
+        ...missingColumns.map(column => `Missing column "${column}"`)
+      ]
+    });
+  }
+
+  if (lines.length === 0 || lines.length > MAX_IMPORT_ROWS) {
+    return res.status(400).json({
+      success: false,
+      message: `CSV must contain between 1 and ${MAX_IMPORT_ROWS} product rows`
+    });
+  }
+
+  // Spreadsheet row numbers: the header is row 1
+  const rows = lines.map((fields, index) => ({
+    row: index + 2,
+    data: Object.fromEntries(columns.map((column, position) => [column, unescapeFormula(fields[position] || '')]))
+  }));
+
+  // Load every category and every existing product the file refers to up front
+  const categories = await Category.find().select('slug');
+  const categoryIds = new Map(categories.map(category => [category.slug, category._id]));
+
+  const skus = rows.map(({ data }) => (data.sku || '').trim().toUpperCase()).filter(Boolean);
+  const slugs = rows.map(({ data }) => (data.slug || '').trim().toLowerCase()).filter(Boolean);
+  const existingProducts = await Product.find({ $or: [{ sku: { $in: skus } }, { slug: { $in: slugs } }] });
+  const productsBySku = new Map(existingProducts.filter(product => product.sku).map(product => [product.sku, product]));
+  const productsBySlug = new Map(existingProducts.map(product => [product.slug, product]));
+
+  // Old slugs still redirect to their product, so new products cannot take them
+  const renamedProducts = await Product.find({ previousSlugs: { $in: slugs } }).select('previousSlugs');
+  const previousSlugs = new Set(renamedProducts.flatMap(product => product.previousSlugs));
+
+  // Variant SKUs share the SKU namespace, so a product SKU must not reuse one
+  const productsWithVariantSkus = await Product.find({ 'variants.sku': { $in: skus } }).select('variants.sku');
+  const variantSkuOwners = new Map(productsWithVariantSkus.flatMap(product => (
+    product.variants.map(variant => [variant.sku, product.id])
+  )));
+
+  const errors = [];
+  const warnings = [];
+  const operations = [];
+  const matchedProductIds = new Set();
+
+  for (const { row, data } of rows) {
+    const { error, value } = productImportRowValidation.validate(data, { abortEarly: false });
+
+    if (error) {
+      errors.push({ row, errors: error.details.map(detail => detail.message) });
+      continue;
+    }
+
+    const rowErrors = [];
+    const sku = value.sku ? value.sku.toUpperCase() : '';
+    const images = splitList(value.images);
+
+    // Upsert: match on SKU first, then on slug
+    let product = (sku && productsBySku.get(sku)) || (value.slug && productsBySlug.get(value.slug)) || null;
+    const isNew = !product;
+
+    if (product && matchedProductIds.has(product.id)) {
+      rowErrors.push('Another row in this file already updates the same product');
+    }
+    if (isNew && sku && operations.some(operation => operation.product.sku === sku)) {
+      rowErrors.push(`Another row in this file already creates SKU ${sku}`);
+    }
+    if (sku && variantSkuOwners.has(sku) && (isNew || variantSkuOwners.get(sku) !== product.id)) {
+      rowErrors.push(`SKU ${sku} is already used by a product variant`);
+    }
+    if (isNew && value.slug) {
+      if (previousSlugs.has(value.slug)) {
+        rowErrors.push(`Slug "${value.slug}" is an old slug of another product`);
+      } else if (operations.some(operation => operation.product.slug === value.slug)) {
+        rowErrors.push(`Another row in this file already creates slug "${value.slug}"`);
+      }
+    }
+
+    const categoryId = categoryIds.get(value.category);
+    if (!categoryId) {
+      rowErrors.push(`Category "${value.category}" not found`);
+    }
+
+    // Uploaded files are deleted with their product, so a row may only keep
+    // uploads its own product already has, never point at another product's
+    const ownUploads = new Map(product ? product.images.map(image => [getUploadUrl(image), image]) : []);
+    const invalidImages = images.filter(image => !IMAGE_URL_PATTERN.test(image));
+    const foreignUploads = images.filter(image => image.startsWith('/uploads/') && !ownUploads.has(image));
+    if (invalidImages.length > 0) {
+      rowErrors.push(`Invalid image URL(s): ${invalidImages.join(', ')}`);
+    }
+    if (foreignUploads.length > 0) {
+      rowErrors.push(`Uploaded image(s) not used by this product: ${foreignUploads.join(', ')}`);
+    }
+    if (isNew && images.length === 0) {
+      rowErrors.push('At least one image URL is required for new products');
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push({ row, errors: rowErrors });
+      continue;
+    }
+
+    if (isNew) {
+      product = new Product();
+    } else {
+      matchedProductIds.add(product.id);
+    }
+
+    product.set({
+      name: value.name,
+      description: value.description,
+      category: categoryId
+    });
+
+    // Price and stock of products with variants are derived from the variants
+    if (product.variants.length > 0) {
+      if (value.price !== product.price || value.stock !== product.stock) {
+        warnings.push({ row, warnings: ['Product has variants: price and stock were not changed (edit the variants instead)'] });
+      }
+    } else {
+      product.set({ price: value.price, stock: value.stock });
+    }
+
+    if (sku) product.sku = sku;
+    if (isNew && value.slug) product.slug = value.slug;
+    if (value.tags !== undefined) product.tags = splitList(value.tags);
+    // An empty images column keeps the current images of existing products
+    if (images.length > 0) product.images = images.map(image => ownUploads.get(image) || image);
+
+    try {
+      await product.validate();
+    } catch (validationError) {
+      errors.push({ row, errors: Object.values(validationError.errors).map(err => err.message) });
+      continue;
+    }
+
+    operations.push({ row, action: isNew ? 'create' : 'update', product });
+  }
+
+  const summary = {
+    rows: rows.length,
+    create: operations.filter(operation => operation.action === 'create').length,
+    update: operations.filter(operation => operation.action === 'update').length,
+    invalid: errors.length
+  };
+
+  // Nothing is written unless every row is valid. Rows are then saved one by one
+  // (without a transaction), so a row that fails to save does not undo the others.
+  if (dryRun || errors.length > 0) {
+    return res.status(dryRun ? 200 : 400).json({
+      success: dryRun,
+      dryRun,
+      message: dryRun
+        ? 'Dry run complete - no changes were made'
+        : 'Import aborted - no changes were made. Fix the rows listed in errors and try again',
+      summary,
+      errors,
+      warnings,
+      // What a real import would do with each valid row (new products without a slug get one from the name)
+      results: dryRun
+        ? operations.map(({ row, action, product }) => ({ row, action, sku: product.sku, slug: product.slug, name: product.name }))
+        : undefined
+    });
+  }
+
+  const failures = [];
+  let saved = 0;
+  for (const { row, product } of operations) {
+    try {
+      await product.save();
+      saved += 1;
+    } catch (saveError) {
+      failures.push({ row, errors: [saveError.code === 11000 ? 'Duplicate SKU or slug' : saveError.message] });
+    }
+  }
+
+  res.json({
+    success: failures.length === 0,
+    dryRun,
+    message: failures.length === 0
+      ? 'Products imported successfully'
+      : `Import partly applied: ${saved} row(s) were saved, ${failures.length} row(s) listed in errors could not be saved`,
+    summary: { ...summary, saved, failed: failures.length },
+    errors: failures,
+    warnings
+  });
+});
+
+// @desc    Export all products as CSV (same columns as the import)
+// @route   GET /api/admin/products/export
+// @access  Private (products:write)
+const exportProducts = asyncHandler(async (req, res) => {
+  const date = new Date().toISOString().slice(0, 10);
+
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="products-${date}.csv"`);
+  res.write(`${toCsvRow(CSV_COLUMNS)}\r\n`);
+
+  // Stream with a cursor so large catalogs are not loaded into memory at once
+  const cursor = Product.find()
+    .populate('category', 'slug')
+    .sort({ createdAt: 1 })
+    .cursor();
+
+  for await (const product of cursor) {
+    res.write(`${toCsvRow([
+      product.sku,
+      product.slug,
+      product.name,
+      product.description,
+      product.price,
+      product.stock,
+      product.category ? product.category.slug : '',
+      product.tags.join(LIST_SEPARATOR),
+      product.images.map(getUploadUrl).join(LIST_SEPARATOR)
+    ].map(escapeFormula))}\r\n`);
+  }
+
+  res.end();
+});
+
+module.exports = {
+  importProducts,
+  exportProducts
+};
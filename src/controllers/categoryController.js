@@ -1,8 +1,10 @@
 const Category = require('../models/Category');
 const Product = require('../models/Product');
 const { asyncHandler } = require('../middleware/errorHandler');
-const fs = require('fs');
-const path = require('path');
+const { getImageSrcset, deleteUploadedFile } = require('../utils/uploads');
+
+// An empty parent from a form means a top-level category
+const parseParent = (parent) => (parent === '' ? null : parent);
 
 // @desc    Get all categories
 // @route   GET /api/categories
@@ -12,12 +14,19 @@ const getCategories = asyncHandler(async (req, res) => {
   const limit = parseInt(req.query.limit) || 10;
   const skip = (page - 1) * limit;
 
-  const categories = await Category.find({ isActive: true })
+  const filter = { isActive: true };
+
+  // parent=root lists top-level categories, parent=<id> the children of a category
+  if (req.query.parent) {
+    filter.parent = req.query.parent === 'root' ? null : req.query.parent;
+  }
+
+  const categories = await Category.find(filter)
     .sort({ createdAt: -1 })
     .skip(skip)
     .limit(limit);
 
-  const total = await Category.countDocuments({ isActive: true });
+  const total = await Category.countDocuments(filter);
 
   res.json({
     success: true,
@@ -32,6 +41,40 @@ const getCategories = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Get active categories as a nested tree
+// @route   GET /api/categories/tree
+// @access  Public
+const getCategoryTree = asyncHandler(async (req, res) => {
+  const categories = await Category.find({ isActive: true })
+    .select('name slug image parent')
+    .sort({ name: 1 })
+    .lean();
+
+  const nodes = new Map(categories.map(category => [
+    category._id.toString(),
+    { ...category, imageSet: getImageSrcset(category.image), children: [] }
+  ]));
+  const tree = [];
+
+  // Subcategories of an inactive category are hidden along with it
+  nodes.forEach(node => {
+    if (!node.parent) {
+      tree.push(node);
+      return;
+    }
+    const parent = nodes.get(node.parent.toString());
+    if (parent) {
+      parent.children.push(node);
+    }
+  });
+
+  res.json({
+    success: true,
+    count: categories.length,
+    data: tree
+  });
+});
+
 // @desc    Get single category
 // @route   GET /api/categories/:id
 // @access  Public
@@ -47,15 +90,49 @@ const getCategory = asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    data: category
+    data: category,
+    breadcrumbs: await category.getBreadcrumbs()
+  });
+});
+
+// @desc    Get single category by slug
+// @route   GET /api/categories/slug/:slug
+// @access  Public
+const getCategoryBySlug = asyncHandler(async (req, res) => {
+  const slug = req.params.slug.toLowerCase();
+
+  const category = await Category.findOne({ slug });
+
+  if (!category) {
+    // Renamed categories keep answering on their old slug with a permanent redirect
+    const renamed = await Category.findOne({ previousSlugs: slug }).select('slug');
+    if (renamed) {
+      return res.status(301).location(`${req.baseUrl}/slug/${renamed.slug}`).json({
+        success: true,
+        message: 'Category has moved',
+        slug: renamed.slug
+      });
+    }
+
+    return res.status(404).json({
+      success: false,
+      message: 'Category not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: category,
+    breadcrumbs: await category.getBreadcrumbs()
   });
 });
 
 // @desc    Create new category
 // @route   POST /api/categories
-// @access  Private/Admin
+// @access  Private (categories:write)
 const createCategory = asyncHandler(async (req, res) => {
   const { name, description, isActive } = req.body;
+  const parent = parseParent(req.body.parent) || null;
   
   // Get image path from uploaded file (handle any field name)
   const image = req.files && req.files.length > 0 ? `/uploads/${req.files[0].filename}` : null;
@@ -75,8 +152,15 @@ const createCategory = asyncHandler(async (req, res) => {
     });
   }
 
-  // Check if category already exists
-  const existingCategory = await Category.findOne({ name: name.trim() });
+  if (parent && !(await Category.exists({ _id: parent }))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Parent category not found'
+    });
+  }
+
+  // Check if category already exists under the same parent
+  const existingCategory = await Category.findOne({ name: name.trim(), parent });
   if (existingCategory) {
     return res.status(400).json({
       success: false,
@@ -88,6 +172,7 @@ const createCategory = asyncHandler(async (req, res) => {
     name: name.trim(),
     description: description ? description.trim() : '',
     image,
+    parent,
     isActive: isActive !== undefined ? (isActive === 'true' || isActive === true || isActive === 'on') : true
   });
 
@@ -100,14 +185,15 @@ const createCategory = asyncHandler(async (req, res) => {
 
 // @desc    Update category
 // @route   PUT /api/categories/:id
-// @access  Private/Admin
+// @access  Private (categories:write)
 const updateCategory = asyncHandler(async (req, res) => {
   const { name, description, isActive } = req.body;
+  const parent = parseParent(req.body.parent);
   
   // Get image path from uploaded file if provided (handle any field name)
   const image = req.files && req.files.length > 0 ? `/uploads/${req.files[0].filename}` : req.body.image;
 
-  let category = await Category.findById(req.params.id);
+  const category = await Category.findById(req.params.id);
 
   if (!category) {
     return res.status(404).json({
@@ -116,9 +202,31 @@ const updateCategory = asyncHandler(async (req, res) => {
     });
   }
 
-  // Check if name is being changed and if new name already exists
-  if (name && name !== category.name) {
-    const existingCategory = await Category.findOne({ name });
+  if (parent) {
+    if (!(await Category.exists({ _id: parent }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Parent category not found'
+      });
+    }
+
+    // Prevent cycles such as moving a category under one of its own subcategories
+    if (await Category.wouldCreateCycle(category._id, parent)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A category cannot be moved under itself or one of its subcategories'
+      });
+    }
+  }
+
+  // Check if name or parent is being changed and if the name is already used there
+  const newParent = parent !== undefined ? parent : category.parent;
+  if ((name && name !== category.name) || parent !== undefined) {
+    const existingCategory = await Category.findOne({
+      _id: { $ne: category._id },
+      name: name || category.name,
+      parent: newParent
+    });
     if (existingCategory) {
       return res.status(400).json({
         success: false,
@@ -128,21 +236,20 @@ const updateCategory = asyncHandler(async (req, res) => {
   }
 
   // Prepare update data
-  const updateData = { name, description, image };
+  const updateData = { name, description, image, parent };
   
   // Handle isActive field if provided
   if (isActive !== undefined) {
     updateData.isActive = isActive === 'true' || isActive === true || isActive === 'on';
   }
 
-  category = await Category.findByIdAndUpdate(
-    req.params.id,
-    updateData,
-    {
-      new: true,
-      runValidators: true
+  // Save through the document so a rename regenerates the slug
+  Object.keys(updateData).forEach(key => {
+    if (updateData[key] !== undefined) {
+      category[key] = updateData[key];
     }
-  );
+  });
+  await category.save();
 
   res.json({
     success: true,
@@ -153,7 +260,7 @@ const updateCategory = asyncHandler(async (req, res) => {
 
 // @desc    Delete category
 // @route   DELETE /api/categories/:id
-// @access  Private/Admin
+// @access  Private (categories:write)
 const deleteCategory = asyncHandler(async (req, res) => {
   const category = await Category.findById(req.params.id);
 
@@ -164,6 +271,15 @@ const deleteCategory = asyncHandler(async (req, res) => {
     });
   }
 
+  // Check if category has subcategories
+  const childrenCount = await Category.countDocuments({ parent: req.params.id });
+  if (childrenCount > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Cannot delete category. It has ${childrenCount} subcategory(ies).`
+    });
+  }
+
   // Check if category has products
   const productsCount = await Product.countDocuments({ category: req.params.id });
   if (productsCount > 0) {
@@ -173,19 +289,8 @@ const deleteCategory = asyncHandler(async (req, res) => {
     });
   }
 
-  // Delete associated image file if it exists
-  if (category.image) {
-    const imagePath = path.join(__dirname, '..', 'uploads', category.image.replace('/uploads/', ''));
-    try {
-      if (fs.existsSync(imagePath)) {
-        fs.unlinkSync(imagePath);
-        console.log(`Deleted category image: ${imagePath}`);
-      }
-    } catch (error) {
-      console.error(`Error deleting category image: ${error.message}`);
-      // Don't fail the deletion if image deletion fails
-    }
-  }
+  // Delete associated image file and its renditions if they exist
+  deleteUploadedFile(category.image);
 
   await Category.findByIdAndDelete(req.params.id);
 
@@ -195,7 +300,7 @@ const deleteCategory = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Get category with products
+// @desc    Get category with products (includeDescendants=true adds products of all subcategories)
 // @route   GET /api/categories/:id/products
 // @access  Public
 const getCategoryProducts = asyncHandler(async (req, res) => {
@@ -211,19 +316,23 @@ const getCategoryProducts = asyncHandler(async (req, res) => {
     });
   }
 
-  const products = await Product.find({
-    category: req.params.id,
+  const categoryIds = [category._id];
+  if (req.query.includeDescendants === 'true') {
+    categoryIds.push(...await Category.getDescendantIds(category._id, { activeOnly: true }));
+  }
+
+  const filter = {
+    category: { $in: categoryIds },
     isActive: true
-  })
+  };
+
+  const products = await Product.find(filter)
     .populate('category', 'name slug')
     .sort({ createdAt: -1 })
     .skip(skip)
     .limit(limit);
 
-  const total = await Product.countDocuments({
-    category: req.params.id,
-    isActive: true
-  });
+  const total = await Product.countDocuments(filter);
 
   res.json({
     success: true,
@@ -232,7 +341,8 @@ const getCategoryProducts = asyncHandler(async (req, res) => {
         id: category._id,
         name: category.name,
         description: category.description,
-        slug: category.slug
+        slug: category.slug,
+        parent: category.parent
       },
       products: {
         count: products.length,
@@ -250,7 +360,9 @@ const getCategoryProducts = asyncHandler(async (req, res) => {
 
 module.exports = {
   getCategories,
+  getCategoryTree,
   getCategory,
+  getCategoryBySlug,
   createCategory,
   updateCategory,
   deleteCategory,
@@ -0,0 +1,210 @@
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const Role = require('../models/Role');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { sendMail } = require('../services/emailService');
+const { getInvitationTemplate } = require('../services/emailTemplates');
+const crypto = require('crypto');
+
+// Find a pending, unexpired invitation by its raw token
+const findPendingInvitation = (token) => {
+  const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+  return Invitation.findOne({
+    token: hashedToken,
+    acceptedAt: null,
+    expiresAt: { $gt: Date.now() }
+  });
+};
+
+// @desc    Invite a user by email
+// @route   POST /api/admin/invitations
+// @access  Private (users:write)
+const createInvitation = asyncHandler(async (req, res) => {
+  const { email, role = 'user' } = req.body;
+
+  if (!(await Role.isDefined(role))) {
+    return res.status(400).json({
+      success: false,
+      message: `Role '${role}' does not exist`
+    });
+  }
+
+  if (!(await req.user.canManageRole(role))) {
+    return res.status(403).json({
+      success: false,
+      message: 'You cannot invite users to a role with permissions you do not have'
+    });
+  }
+
+  const existingUser = await User.findOne({ email }).select('_id');
+  if (existingUser) {
+    return res.status(400).json({
+      success: false,
+      message: 'User already exists with this email'
+    });
+  }
+
+  // Re-inviting the same address replaces the previous pending invitation
+  let invitation = await Invitation.findOne({ email, acceptedAt: null });
+  if (!invitation) {
+    invitation = new Invitation({ email });
+  }
+
+  invitation.role = role;
+  invitation.invitedBy = req.user.id;
+  const inviteToken = invitation.generateToken();
+  await invitation.save();
+
+  const baseUrl = process.env.FRONTEND_URL || `${req.protocol}://${req.get('host')}`;
+  const inviteUrl = `${baseUrl}/accept-invite?token=${inviteToken}`;
+
+  try {
+    await sendMail({
+      to: invitation.email,
+      subject: '✉️ You\'re Invited to PICH STORE',
+      html: getInvitationTemplate(req.user.name, invitation.role, inviteUrl)
+    });
+  } catch (error) {
+    console.error('Invitation email failed:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Invitation created but the email could not be sent'
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Invitation sent successfully',
+    data: {
+      id: invitation._id,
+      email: invitation.email,
+      role: invitation.role,
+      expiresAt: invitation.expiresAt
+    }
+  });
+});
+
+// @desc    Get pending invitations
+// @route   GET /api/admin/invitations
+// @access  Private (users:read)
+const getInvitations = asyncHandler(async (req, res) => {
+  const invitations = await Invitation.find({
+    acceptedAt: null,
+    expiresAt: { $gt: Date.now() }
+  })
+    .select('-token')
+    .populate('invitedBy', 'name email')
+    .sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    count: invitations.length,
+    data: invitations
+  });
+});
+
+// @desc    Revoke invitation
+// @route   DELETE /api/admin/invitations/:id
+// @access  Private (users:write)
+const revokeInvitation = asyncHandler(async (req, res) => {
+  const invitation = await Invitation.findOneAndDelete({
+    _id: req.params.id,
+    acceptedAt: null
+  });
+
+  if (!invitation) {
+    return res.status(404).json({
+      success: false,
+      message: 'Invitation not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Invitation revoked successfully'
+  });
+});
+
+// @desc    Get invitation details for the accept form
+// @route   GET /api/auth/invitation?token=
+// @access  Public
+const getInvitationByToken = asyncHandler(async (req, res) => {
+  const { token } = req.query;
+
+  const invitation = token && await findPendingInvitation(token);
+  if (!invitation) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invitation link is invalid or has expired'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      email: invitation.email,
+      role: invitation.role,
+      expiresAt: invitation.expiresAt
+    }
+  });
+});
+
+// @desc    Accept invitation and create account
+// @route   POST /api/auth/accept-invite
+// @access  Public
+const acceptInvitation = asyncHandler(async (req, res) => {
+  const { token, name, password } = req.body;
+
+  const invitation = await findPendingInvitation(token);
+  if (!invitation) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invitation link is invalid or has expired'
+    });
+  }
+
+  const existingUser = await User.findOne({ email: invitation.email }).select('_id');
+  if (existingUser) {
+    return res.status(400).json({
+      success: false,
+      message: 'User already exists with this email'
+    });
+  }
+
+  // The invite link was delivered to this address, so it counts as verified
+  const user = await User.create({
+    name,
+    email: invitation.email,
+    password,
+    role: invitation.role,
+    isEmailVerified: true
+  });
+
+  invitation.acceptedAt = Date.now();
+  await invitation.save();
+
+  await Order.claimGuestOrders(user);
+
+  res.status(201).json({
+    success: true,
+    message: 'Invitation accepted. You can now log in.',
+    data: {
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        isEmailVerified: user.isEmailVerified
+      }
+    }
+  });
+});
+
+module.exports = {
+  createInvitation,
+  getInvitations,
+  revokeInvitation,
+  getInvitationByToken,
+  acceptInvitation
+};
@@ -1,17 +1,47 @@
 const Order = require('../models/Order');
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
+const User = require('../models/User');
 const { asyncHandler } = require('../middleware/errorHandler');
 
-// @desc    Create new order
+// @desc    Create new order (signed-in user or guest checkout)
 // @route   POST /api/orders
-// @access  Private
+// @access  Public (signed-in user or X-Guest-Token)
 const createOrder = asyncHandler(async (req, res) => {
-  const { shippingAddress, paymentMethod } = req.body;
+  const { shippingAddress, addressId, paymentMethod, email } = req.body;
+  const isGuest = !req.user;
+
+  // Guests have no address book and must leave a contact email
+  if (isGuest && (!email || !shippingAddress)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Guest checkout requires a contact email and a shipping address'
+    });
+  }
+
+  // Resolve shipping address: inline, saved by id, or the default saved one
+  let orderAddress = shippingAddress;
+  if (!orderAddress) {
+    const user = await User.findById(req.user.id).select('addresses');
+    const savedAddress = addressId
+      ? user.addresses.id(addressId)
+      : user.addresses.find(address => address.isDefaultShipping);
+
+    if (!savedAddress) {
+      return res.status(400).json({
+        success: false,
+        message: addressId ? 'Saved address not found' : 'Shipping address is required'
+      });
+    }
+
+    // Snapshot the address so later address book edits don't change the order
+    const { label, fullName, phone, address, city, postalCode, country } = savedAddress;
+    orderAddress = { label, fullName, phone, address, city, postalCode, country };
+  }
 
-  // Get user's cart
-  const cart = await Cart.findOne({ user: req.user.id })
-    .populate('items.product');
+  // Get user's or guest's cart
+  const cartQuery = Cart.findByOwner({ user: req.user && req.user.id, guestToken: req.guestToken });
+  const cart = cartQuery && await cartQuery.populate('items.product');
 
   if (!cart || cart.items.length === 0) {
     return res.status(400).json({
@@ -34,10 +64,20 @@ const createOrder = asyncHandler(async (req, res) => {
       });
     }
 
-    if (product.stock < item.quantity) {
+    // Products with variants are stocked per variant
+    const variant = product.findVariant(item.variant);
+    if (product.variants.length > 0 && (!variant || !variant.isActive)) {
       return res.status(400).json({
         success: false,
-        message: `Not enough stock for ${product.name}. Available: ${product.stock}`
+        message: `The selected option of ${product.name} is no longer available`
+      });
+    }
+
+    const stock = variant ? variant.stock : product.stock;
+    if (stock < item.quantity) {
+      return res.status(400).json({
+        success: false,
+        message: `Not enough stock for ${product.name}${variant ? ` (${variant.sku})` : ''}. Available: ${stock}`
       });
     }
 
@@ -46,10 +86,13 @@ const createOrder = asyncHandler(async (req, res) => {
 
     orderItems.push({
       product: product._id,
+      variant: variant ? variant._id : null,
+      sku: variant ? variant.sku : undefined,
+      options: variant ? variant.options : undefined,
       name: product.name,
       quantity: item.quantity,
       price: item.price,
-      image: product.images[0] || ''
+      image: (variant && variant.images[0]) || product.images[0] || ''
     });
   }
 
@@ -60,9 +103,10 @@ const createOrder = asyncHandler(async (req, res) => {
 
   // Create order
   const order = await Order.create({
-    user: req.user.id,
+    user: isGuest ? null : req.user.id,
+    guestEmail: isGuest ? email : null,
     orderItems,
-    shippingAddress,
+    shippingAddress: orderAddress,
     paymentMethod,
     itemsPrice: totalPrice,
     taxPrice,
@@ -70,12 +114,19 @@ const createOrder = asyncHandler(async (req, res) => {
     totalPrice: finalTotal
   });
 
-  // Update product stock
-  for (const item of cart.items) {
-    await Product.findByIdAndUpdate(
-      item.product._id,
-      { $inc: { stock: -item.quantity } }
-    );
+  // Update product stock (and the variant's own stock)
+  for (const item of orderItems) {
+    if (item.variant) {
+      await Product.updateOne(
+        { _id: item.product, 'variants._id': item.variant },
+        { $inc: { stock: -item.quantity, 'variants.$.stock': -item.quantity } }
+      );
+    } else {
+      await Product.findByIdAndUpdate(
+        item.product,
+        { $inc: { stock: -item.quantity } }
+      );
+    }
   }
 
   // Clear cart
@@ -93,6 +144,53 @@ const createOrder = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Look up an order by order number and email
+// @route   POST /api/orders/lookup
+// @access  Public
+const lookupOrder = asyncHandler(async (req, res) => {
+  const orderNumber = req.body.orderNumber.trim().toUpperCase();
+  const email = req.body.email.trim().toLowerCase();
+
+  const order = await Order.findOne({ orderNumber })
+    .populate('user', 'name email')
+    .populate('orderItems.product', 'name slug images');
+
+  const contactEmail = order && (order.guestEmail || (order.user && order.user.email));
+
+  // Same answer for unknown numbers and wrong emails
+  if (!order || contactEmail !== email) {
+    return res.status(404).json({
+      success: false,
+      message: 'No order found with this order number and email'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: order
+  });
+});
+
+// @desc    Attach guest orders placed with the current user's email
+// @route   POST /api/orders/claim
+// @access  Private
+const claimGuestOrders = asyncHandler(async (req, res) => {
+  if (!req.user.isEmailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email before claiming orders'
+    });
+  }
+
+  const result = await Order.claimGuestOrders(req.user);
+
+  res.json({
+    success: true,
+    message: `${result.modifiedCount} guest order(s) added to your account`,
+    data: { claimed: result.modifiedCount }
+  });
+});
+
 // @desc    Get user orders
 // @route   GET /api/orders
 // @access  Private
@@ -137,8 +235,8 @@ const getOrder = asyncHandler(async (req, res) => {
     });
   }
 
-  // Check if user owns the order or is admin
-  if (order.user._id.toString() !== req.user.id && req.user.role !== 'admin') {
+  // Check if user owns the order or may read all orders
+  if ((!order.user || order.user._id.toString() !== req.user.id) && !(await req.user.hasPermission('orders:read'))) {
     return res.status(403).json({
       success: false,
       message: 'Not authorized to access this order'
@@ -153,7 +251,7 @@ const getOrder = asyncHandler(async (req, res) => {
 
 // @desc    Update order to paid
 // @route   PUT /api/orders/:id/pay
-// @access  Private
+// @access  Public (signed-in owner, orders:update, or guest with the order email)
 const updateOrderToPaid = asyncHandler(async (req, res) => {
   const order = await Order.findById(req.params.id);
 
@@ -171,8 +269,12 @@ const updateOrderToPaid = asyncHandler(async (req, res) => {
     });
   }
 
-  // Check if user owns the order or is admin
-  if (order.user.toString() !== req.user.id && req.user.role !== 'admin') {
+  // Guests prove ownership with the contact email; users must own the order or may update all orders
+  const isAllowed = req.user
+    ? (order.user && order.user.toString() === req.user.id) || await req.user.hasPermission('orders:update')
+    : !order.user && !!order.guestEmail && String(req.body.email || '').trim().toLowerCase() === order.guestEmail;
+
+  if (!isAllowed) {
     return res.status(403).json({
       success: false,
       message: 'Not authorized to update this order'
@@ -198,7 +300,7 @@ const updateOrderToPaid = asyncHandler(async (req, res) => {
 
 // @desc    Update order to delivered
 // @route   PUT /api/orders/:id/deliver
-// @access  Private/Admin
+// @access  Private (orders:update)
 const updateOrderToDelivered = asyncHandler(async (req, res) => {
   const order = await Order.findById(req.params.id);
 
@@ -231,7 +333,7 @@ const updateOrderToDelivered = asyncHandler(async (req, res) => {
 
 // @desc    Get all orders (Admin)
 // @route   GET /api/orders/admin/all
-// @access  Private/Admin
+// @access  Private (orders:read)
 const getAllOrders = asyncHandler(async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
@@ -267,7 +369,7 @@ const getAllOrders = asyncHandler(async (req, res) => {
 
 // @desc    Update order status
 // @route   PUT /api/orders/:id/status
-// @access  Private/Admin
+// @access  Private (orders:update)
 const updateOrderStatus = asyncHandler(async (req, res) => {
   const { status } = req.body;
   const validStatuses = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
@@ -307,6 +409,8 @@ const updateOrderStatus = asyncHandler(async (req, res) => {
 
 module.exports = {
   createOrder,
+  lookupOrder,
+  claimGuestOrders,
   getUserOrders,
   getOrder,
   updateOrderToPaid,
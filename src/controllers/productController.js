@@ -1,25 +1,164 @@
 const Product = require('../models/Product');
 const Category = require('../models/Category');
+const Review = require('../models/Review');
+const SearchQuery = require('../models/SearchQuery');
+const Synonym = require('../models/Synonym');
+const SearchTerm = require('../models/SearchTerm');
+const mongoose = require('mongoose');
 const { asyncHandler } = require('../middleware/errorHandler');
-const fs = require('fs');
-const path = require('path');
+const { getUploadUrl, deleteUploadedFile } = require('../utils/uploads');
+const {
+  extractWords,
+  tokenize,
+  buildTextSearch,
+  highlightMatches,
+  buildSnippet
+} = require('../utils/search');
 
 // Helper function to convert image filenames to full URLs
 const convertImagesToUrls = (product) => {
   if (product.images && Array.isArray(product.images)) {
-    product.images = product.images.map(image => {
-      // If it's already a full URL, return as is
-      if (image.startsWith('http')) {
-        return image;
-      }
-      // Otherwise, construct the full URL
-      return `/uploads/${image}`;
+    product.images = product.images.map(getUploadUrl);
+  }
+  if (product.variants && Array.isArray(product.variants)) {
+    product.variants.forEach(variant => {
+      variant.images = variant.images.map(getUploadUrl);
     });
   }
   return product;
 };
 
-// @desc    Get all products
+// Most words of one search that get a typo correction
+const MAX_CORRECTIONS = 3;
+
+// Expand a storefront search with typo corrections and admin-defined synonyms.
+// Quoted phrases and -exclusions are passed to $text unchanged.
+const prepareSearch = async (search) => {
+  const { words, phrases, excluded } = tokenize(search);
+
+  // Replace words no product uses with the closest known one ("sneekers" -> "sneakers")
+  const knownWords = await SearchTerm.findKnownWords(words);
+  const unknownWords = [...new Set(words.filter(word => !knownWords.has(word)))].slice(0, MAX_CORRECTIONS);
+
+  const corrections = {};
+  for (const word of unknownWords) {
+    const closest = await SearchTerm.findClosest(word);
+    if (closest) {
+      corrections[word] = closest;
+    }
+  }
+
+  const correctedWords = words.map(word => corrections[word] || word);
+  const synonyms = await Synonym.expandTerms([...new Set([...words, ...correctedWords])]);
+  const terms = [...new Set([...words, ...correctedWords, ...synonyms])];
+
+  return {
+    text: buildTextSearch({ words: terms, phrases, excluded }),
+    // Words to highlight in the results
+    terms: [...new Set([...terms, ...phrases.flatMap(extractWords)])],
+    corrections,
+    synonyms,
+    didYouMean: Object.keys(corrections).length > 0
+      ? buildTextSearch({ words: correctedWords, phrases, excluded })
+      : null
+  };
+};
+
+// Price range buckets for the listing facets; the last range is open-ended
+const PRICE_RANGE_BOUNDARIES = [0, 25, 50, 100, 200, 500];
+const MAX_TAG_FACETS = 20;
+
+// Fetch a page of products plus facet counts for the whole filter set in one aggregation
+const findProductsWithFacets = async (filter, sort, skip, limit) => {
+  // Unlike find(), aggregate() does not cast query values (the id is validated by the caller)
+  const match = { ...filter };
+  if (match.category) {
+    match.category = new mongoose.Types.ObjectId(match.category);
+  }
+
+  const pipeline = [{ $match: match }];
+  let resultSort = sort;
+
+  // The text score is metadata; copy it into a field so the results facet can sort on it
+  if (sort.score) {
+    pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+    resultSort = { score: -1 };
+  }
+
+  const [result] = await Product.aggregate([
+    ...pipeline,
+    {
+      $facet: {
+        // Same product shape as find(): no hidden fields, and the sort-only score dropped
+        results: [
+          { $sort: resultSort },
+          { $skip: skip },
+          { $limit: limit },
+          { $project: { searchTokens: 0, score: 0 } }
+        ],
+        total: [{ $count: 'count' }],
+        categories: [
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+          { $lookup: { from: Category.collection.name, localField: '_id', foreignField: '_id', as: 'category' } },
+          { $unwind: '$category' },
+          { $project: { _id: 1, name: '$category.name', slug: '$category.slug', count: 1 } },
+          { $sort: { count: -1, name: 1 } }
+        ],
+        tags: [
+          { $unwind: '$tags' },
+          { $group: { _id: { $toLower: '$tags' }, count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: MAX_TAG_FACETS },
+          { $project: { _id: 0, tag: '$_id', count: 1 } }
+        ],
+        priceRanges: [
+          {
+            $bucket: {
+              groupBy: '$price',
+              boundaries: PRICE_RANGE_BOUNDARIES,
+              default: 'over',
+              output: { count: { $sum: 1 } }
+            }
+          }
+        ],
+        availability: [
+          { $group: { _id: { $gt: ['$stock', 0] }, count: { $sum: 1 } } }
+        ]
+      }
+    }
+  ]);
+
+  const products = await Product.populate(
+    result.results.map(doc => Product.hydrate(doc)),
+    { path: 'category', select: 'name slug' }
+  );
+
+  // Report every range (including empty ones) as { min, max, count }
+  const priceRanges = PRICE_RANGE_BOUNDARIES.map((min, index) => {
+    const max = index < PRICE_RANGE_BOUNDARIES.length - 1 ? PRICE_RANGE_BOUNDARIES[index + 1] : null;
+    const bucket = result.priceRanges.find(range => (max === null ? range._id === 'over' : range._id === min));
+    return { min, max, count: bucket ? bucket.count : 0 };
+  });
+
+  const inStock = result.availability.find(group => group._id === true);
+  const outOfStock = result.availability.find(group => group._id === false);
+
+  return {
+    products,
+    total: result.total.length > 0 ? result.total[0].count : 0,
+    facets: {
+      categories: result.categories,
+      tags: result.tags,
+      priceRanges,
+      availability: {
+        inStock: inStock ? inStock.count : 0,
+        outOfStock: outOfStock ? outOfStock.count : 0
+      }
+    }
+  };
+};
+
+// @desc    Get all products (search, filters, sorting and optional facets)
 // @route   GET /api/products
 // @access  Public
 const getProducts = asyncHandler(async (req, res) => {
@@ -28,11 +167,21 @@ const getProducts = asyncHandler(async (req, res) => {
   const skip = (page - 1) * limit;
   const { search, category, featured, minPrice, maxPrice, sort } = req.query;
 
+  // Checked up front so the plain and facets queries reject a bad id the same way
+  if (category && !mongoose.Types.ObjectId.isValid(category)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid category id'
+    });
+  }
+
   // Build filter object
   let filter = { isActive: true };
+  let searchInfo;
 
   if (search) {
-    filter.$text = { $search: search };
+    searchInfo = await prepareSearch(search);
+    filter.$text = { $search: searchInfo.text || search };
   }
 
   if (category) {
@@ -49,10 +198,14 @@ const getProducts = asyncHandler(async (req, res) => {
     if (maxPrice) filter.price.$lte = parseFloat(maxPrice);
   }
 
-  // Build sort object
+  // Build sort object (searches are ranked by relevance unless another order is requested)
   let sortObj = { createdAt: -1 };
-  if (sort) {
-    switch (sort) {
+  const sortBy = sort || (search ? 'relevance' : undefined);
+  if (sortBy) {
+    switch (sortBy) {
+      case 'relevance':
+        sortObj = search ? { score: { $meta: 'textScore' } } : { createdAt: -1 };
+        break;
       case 'price_asc':
         sortObj = { price: 1 };
         break;
@@ -76,16 +229,42 @@ const getProducts = asyncHandler(async (req, res) => {
     }
   }
 
-  const products = await Product.find(filter)
-    .populate('category', 'name slug')
-    .sort(sortObj)
-    .skip(skip)
-    .limit(limit);
+  let products;
+  let total;
+  let facets;
+
+  if (req.query.facets === 'true') {
+    ({ products, total, facets } = await findProductsWithFacets(filter, sortObj, skip, limit));
+  } else {
+    products = await Product.find(filter)
+      .populate('category', 'name slug')
+      .sort(sortObj)
+      .skip(skip)
+      .limit(limit);
 
-  const total = await Product.countDocuments(filter);
+    total = await Product.countDocuments(filter);
+  }
+
+  // Remember first-page searches that found something, for popular search suggestions
+  if (search && page === 1 && total > 0) {
+    SearchQuery.record(search, req.ip).catch(error => {
+      console.error(`Error recording search query: ${error.message}`);
+    });
+  }
 
   // Convert image filenames to full URLs
-  const productsWithUrls = products.map(convertImagesToUrls);
+  let productsWithUrls = products.map(convertImagesToUrls);
+
+  // Mark the matched words so the storefront can show why a product matched
+  if (searchInfo) {
+    productsWithUrls = productsWithUrls.map(product => ({
+      ...product.toJSON(),
+      highlights: {
+        name: highlightMatches(product.name, searchInfo.terms),
+        description: buildSnippet(product.description, searchInfo.terms)
+      }
+    }));
+  }
 
   res.json({
     success: true,
@@ -102,8 +281,14 @@ const getProducts = asyncHandler(async (req, res) => {
       featured,
       minPrice,
       maxPrice,
-      sort
+      sort: sortBy
     },
+    search: searchInfo && {
+      didYouMean: searchInfo.didYouMean,
+      corrections: searchInfo.corrections,
+      synonyms: searchInfo.synonyms
+    },
+    facets,
     data: productsWithUrls
   });
 });
@@ -113,7 +298,7 @@ const getProducts = asyncHandler(async (req, res) => {
 // @access  Public
 const getProduct = asyncHandler(async (req, res) => {
   const product = await Product.findById(req.params.id)
-    .populate('category', 'name slug description');
+    .populate('category', 'name slug description parent');
 
   if (!product || !product.isActive) {
     return res.status(404).json({
@@ -124,17 +309,54 @@ const getProduct = asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    data: convertImagesToUrls(product)
+    data: convertImagesToUrls(product),
+    breadcrumbs: product.category ? await product.category.getBreadcrumbs() : []
+  });
+});
+
+// @desc    Get single product by slug
+// @route   GET /api/products/slug/:slug
+// @access  Public
+const getProductBySlug = asyncHandler(async (req, res) => {
+  const slug = req.params.slug.toLowerCase();
+
+  const product = await Product.findOne({ slug })
+    .populate('category', 'name slug description parent');
+
+  if (!product) {
+    // Renamed products keep answering on their old slug with a permanent redirect
+    const renamed = await Product.findOne({ previousSlugs: slug }).select('slug isActive');
+    if (renamed && renamed.isActive) {
+      return res.status(301).location(`${req.baseUrl}/slug/${renamed.slug}`).json({
+        success: true,
+        message: 'Product has moved',
+        slug: renamed.slug
+      });
+    }
+  }
+
+  if (!product || !product.isActive) {
+    return res.status(404).json({
+      success: false,
+      message: 'Product not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: convertImagesToUrls(product),
+    breadcrumbs: product.category ? await product.category.getBreadcrumbs() : []
   });
 });
 
 // @desc    Create new product
 // @route   POST /api/products
-// @access  Private/Admin
+// @access  Private (products:write)
 const createProduct = asyncHandler(async (req, res) => {
   const {
     name,
     description,
+    sku,
     price,
     originalPrice,
     stock,
@@ -204,6 +426,7 @@ const createProduct = asyncHandler(async (req, res) => {
   const product = await Product.create({
     name: name.trim(),
     description: description.trim(),
+    sku: sku || undefined,
     price: parseFloat(price),
     originalPrice: originalPrice ? parseFloat(originalPrice) : undefined,
     stock: parseInt(stock),
@@ -230,9 +453,9 @@ const createProduct = asyncHandler(async (req, res) => {
 
 // @desc    Update product
 // @route   PUT /api/products/:id
-// @access  Private/Admin
+// @access  Private (products:write)
 const updateProduct = asyncHandler(async (req, res) => {
-  let product = await Product.findById(req.params.id);
+  const product = await Product.findById(req.params.id);
 
   if (!product) {
     return res.status(404).json({
@@ -244,6 +467,7 @@ const updateProduct = asyncHandler(async (req, res) => {
   const {
     name,
     description,
+    sku,
     price,
     originalPrice,
     stock,
@@ -271,26 +495,34 @@ const updateProduct = asyncHandler(async (req, res) => {
     images = req.files.map(file => file.filename);
   }
 
-  product = await Product.findByIdAndUpdate(
-    req.params.id,
-    {
-      name,
-      description,
-      price,
-      originalPrice,
-      stock,
-      category,
-      images,
-      featured: featured !== undefined ? (featured === 'true' || featured === true) : product.featured,
-      tags: tags ? tags.split(',').map(tag => tag.trim()) : product.tags,
-      weight,
-      dimensions
-    },
-    {
-      new: true,
-      runValidators: true
+  const updates = {
+    name,
+    description,
+    sku: sku || undefined,
+    price,
+    originalPrice,
+    stock,
+    category,
+    images,
+    featured: featured !== undefined ? (featured === 'true' || featured === true) : product.featured,
+    tags: tags ? tags.split(',').map(tag => tag.trim()) : product.tags,
+    weight,
+    dimensions
+  };
+
+  // Save through the document so a rename regenerates the slug
+  Object.keys(updates).forEach(key => {
+    if (updates[key] !== undefined) {
+      product[key] = updates[key];
     }
-  ).populate('category', 'name slug');
+  });
+
+  // A missing SKU is left alone, an empty one removes it
+  if (typeof sku === 'string' && sku.trim() === '') {
+    product.sku = undefined;
+  }
+  await product.save();
+  await product.populate('category', 'name slug');
 
   res.json({
     success: true,
@@ -301,7 +533,7 @@ const updateProduct = asyncHandler(async (req, res) => {
 
 // @desc    Delete product
 // @route   DELETE /api/products/:id
-// @access  Private/Admin
+// @access  Private (products:write)
 const deleteProduct = asyncHandler(async (req, res) => {
   const product = await Product.findById(req.params.id);
 
@@ -312,23 +544,15 @@ const deleteProduct = asyncHandler(async (req, res) => {
     });
   }
 
-  // Delete associated image files if they exist
-  if (product.images && Array.isArray(product.images)) {
-    product.images.forEach(image => {
-      try {
-        const imagePath = path.join(__dirname, '..', 'uploads', image);
-        if (fs.existsSync(imagePath)) {
-          fs.unlinkSync(imagePath);
-          console.log(`Deleted product image: ${imagePath}`);
-        }
-      } catch (error) {
-        console.error(`Error deleting product image ${image}: ${error.message}`);
-        // Don't fail the deletion if image deletion fails
-      }
-    });
-  }
+  // Delete associated image files and their renditions (product and variant images)
+  const allImages = [
+    ...(product.images || []),
+    ...product.variants.flatMap(variant => variant.images)
+  ];
+  allImages.forEach(deleteUploadedFile);
 
   await Product.findByIdAndDelete(req.params.id);
+  await Review.deleteMany({ product: product._id });
 
   res.json({
     success: true,
@@ -390,6 +614,7 @@ const getRelatedProducts = asyncHandler(async (req, res) => {
 module.exports = {
   getProducts,
   getProduct,
+  getProductBySlug,
   createProduct,
   updateProduct,
   deleteProduct,
@@ -0,0 +1,293 @@
+const Review = require('../models/Review');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { getUploadUrl } = require('../utils/uploads');
+
+// Convert the reviewer's avatar filename to a full URL
+const formatReview = (review) => {
+  const data = review.toObject();
+  if (data.user && data.user.avatar) {
+    data.user.avatar = getUploadUrl(data.user.avatar);
+  }
+  return data;
+};
+
+// @desc    Get approved reviews for a product
+// @route   GET /api/products/:id/reviews
+// @access  Public
+const getProductReviews = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  const product = await Product.findById(req.params.id).select('averageRating numReviews isActive');
+
+  if (!product || !product.isActive) {
+    return res.status(404).json({
+      success: false,
+      message: 'Product not found'
+    });
+  }
+
+  // Build sort object
+  let sortObj = { createdAt: -1 };
+  switch (req.query.sort) {
+    case 'oldest':
+      sortObj = { createdAt: 1 };
+      break;
+    case 'rating_desc':
+      sortObj = { rating: -1, createdAt: -1 };
+      break;
+    case 'rating_asc':
+      sortObj = { rating: 1, createdAt: -1 };
+      break;
+    default:
+      sortObj = { createdAt: -1 };
+  }
+
+  const filter = { product: product._id, status: 'approved' };
+
+  const reviews = await Review.find(filter)
+    .select('-moderatedBy -moderatedAt -moderationNote')
+    .populate('user', 'name avatar')
+    .sort(sortObj)
+    .skip(skip)
+    .limit(limit);
+
+  const total = await Review.countDocuments(filter);
+
+  res.json({
+    success: true,
+    count: reviews.length,
+    averageRating: product.averageRating,
+    numReviews: product.numReviews,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    },
+    data: reviews.map(formatReview)
+  });
+});
+
+// @desc    Review a product
+// @route   POST /api/products/:id/reviews
+// @access  Private (customers with a delivered order containing the product)
+const createReview = asyncHandler(async (req, res) => {
+  const { rating, title, comment } = req.body;
+
+  const product = await Product.findById(req.params.id).select('_id isActive');
+
+  if (!product || !product.isActive) {
+    return res.status(404).json({
+      success: false,
+      message: 'Product not found'
+    });
+  }
+
+  const hasPurchased = await Order.exists({
+    user: req.user.id,
+    status: 'delivered',
+    'orderItems.product': product._id
+  });
+
+  if (!hasPurchased) {
+    return res.status(403).json({
+      success: false,
+      message: 'You can only review products from your delivered orders'
+    });
+  }
+
+  if (await Review.exists({ product: product._id, user: req.user.id })) {
+    return res.status(400).json({
+      success: false,
+      message: 'You have already reviewed this product'
+    });
+  }
+
+  const review = await Review.create({
+    product: product._id,
+    user: req.user.id,
+    rating,
+    title,
+    comment
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Review submitted and awaiting moderation',
+    data: review
+  });
+});
+
+// @desc    Edit own review
+// @route   PUT /api/products/:id/reviews/:reviewId
+// @access  Private
+const updateReview = asyncHandler(async (req, res) => {
+  const { rating, title, comment } = req.body;
+
+  const review = await Review.findOne({
+    _id: req.params.reviewId,
+    product: req.params.id,
+    user: req.user.id
+  });
+
+  if (!review) {
+    return res.status(404).json({
+      success: false,
+      message: 'Review not found'
+    });
+  }
+
+  const wasApproved = review.status === 'approved';
+
+  if (rating !== undefined) review.rating = rating;
+  if (title !== undefined) review.title = title;
+  if (comment !== undefined) review.comment = comment;
+
+  // Edited reviews go back through moderation
+  review.status = 'pending';
+  review.moderatedBy = null;
+  review.moderatedAt = null;
+  review.moderationNote = undefined;
+  await review.save();
+
+  if (wasApproved) {
+    await Review.updateProductRating(review.product);
+  }
+
+  res.json({
+    success: true,
+    message: 'Review updated and awaiting moderation',
+    data: review
+  });
+});
+
+// @desc    Delete own review
+// @route   DELETE /api/products/:id/reviews/:reviewId
+// @access  Private
+const deleteReview = asyncHandler(async (req, res) => {
+  const review = await Review.findOneAndDelete({
+    _id: req.params.reviewId,
+    product: req.params.id,
+    user: req.user.id
+  });
+
+  if (!review) {
+    return res.status(404).json({
+      success: false,
+      message: 'Review not found'
+    });
+  }
+
+  if (review.status === 'approved') {
+    await Review.updateProductRating(review.product);
+  }
+
+  res.json({
+    success: true,
+    message: 'Review deleted successfully'
+  });
+});
+
+// @desc    Get reviews for moderation
+// @route   GET /api/admin/reviews
+// @access  Private (reviews:moderate)
+const getModerationQueue = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+  const status = req.query.status || 'pending';
+
+  const filter = status === 'all' ? {} : { status };
+
+  if (req.query.product) {
+    filter.product = req.query.product;
+  }
+
+  // Oldest pending reviews first so nothing waits forever
+  const reviews = await Review.find(filter)
+    .populate('user', 'name email')
+    .populate('product', 'name slug')
+    .populate('moderatedBy', 'name')
+    .sort({ createdAt: status === 'pending' ? 1 : -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await Review.countDocuments(filter);
+
+  res.json({
+    success: true,
+    count: reviews.length,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    },
+    data: reviews
+  });
+});
+
+// @desc    Approve or reject a review
+// @route   PUT /api/admin/reviews/:id
+// @access  Private (reviews:moderate)
+const moderateReview = asyncHandler(async (req, res) => {
+  const { status, note } = req.body;
+
+  const review = await Review.findById(req.params.id);
+
+  if (!review) {
+    return res.status(404).json({
+      success: false,
+      message: 'Review not found'
+    });
+  }
+
+  review.status = status;
+  review.moderatedBy = req.user.id;
+  review.moderatedAt = Date.now();
+  review.moderationNote = note;
+  await review.save();
+
+  await Review.updateProductRating(review.product);
+
+  res.json({
+    success: true,
+    message: `Review ${status}`,
+    data: review
+  });
+});
+
+// @desc    Delete any review
+// @route   DELETE /api/admin/reviews/:id
+// @access  Private (reviews:moderate)
+const removeReview = asyncHandler(async (req, res) => {
+  const review = await Review.findByIdAndDelete(req.params.id);
+
+  if (!review) {
+    return res.status(404).json({
+      success: false,
+      message: 'Review not found'
+    });
+  }
+
+  await Review.updateProductRating(review.product);
+
+  res.json({
+    success: true,
+    message: 'Review deleted successfully'
+  });
+});
+
+module.exports = {
+  getProductReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  getModerationQueue,
+  moderateReview,
+  removeReview
+};
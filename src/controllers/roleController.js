@@ -0,0 +1,199 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { PERMISSIONS, DEFAULT_ROLES } = require('../config/permissions');
+
+// Permissions in the list that the caller does not hold (and so cannot grant)
+const getUngrantablePermissions = async (user, permissions = []) => {
+  const ownPermissions = await user.getPermissions();
+  return permissions.filter(permission => !ownPermissions.includes(permission));
+};
+
+// @desc    Get roles and the permission catalogue
+// @route   GET /api/admin/roles
+// @access  Private (roles:manage)
+const getRoles = asyncHandler(async (req, res) => {
+  const storedRoles = await Role.find().sort({ name: 1 }).lean();
+  const storedNames = storedRoles.map(role => role.name);
+
+  // Built-in roles that have not been overridden are listed with their defaults
+  const builtInRoles = Object.entries(DEFAULT_ROLES)
+    .filter(([name]) => !storedNames.includes(name))
+    .map(([name, role]) => ({ name, ...role }));
+
+  const roles = [
+    ...builtInRoles,
+    ...storedRoles.map(role => ({
+      ...role,
+      isSystem: !!(DEFAULT_ROLES[role.name] && DEFAULT_ROLES[role.name].isSystem)
+    }))
+  ].map(role => (role.name === 'admin' ? { ...role, permissions: Object.keys(PERMISSIONS) } : role));
+
+  res.json({
+    success: true,
+    count: roles.length,
+    data: {
+      roles,
+      permissions: PERMISSIONS
+    }
+  });
+});
+
+// @desc    Create role
+// @route   POST /api/admin/roles
+// @access  Private (roles:manage)
+const createRole = asyncHandler(async (req, res) => {
+  const { name, description, permissions } = req.body;
+
+  if (await Role.isDefined(name.toLowerCase())) {
+    return res.status(400).json({
+      success: false,
+      message: 'Role with this name already exists'
+    });
+  }
+
+  const ungrantable = await getUngrantablePermissions(req.user, permissions);
+  if (ungrantable.length > 0) {
+    return res.status(403).json({
+      success: false,
+      message: `You cannot grant permissions you do not have: ${ungrantable.join(', ')}`
+    });
+  }
+
+  const role = await Role.create({ name, description, permissions });
+
+  res.status(201).json({
+    success: true,
+    message: 'Role created successfully',
+    data: role
+  });
+});
+
+// @desc    Update role (built-in roles are overridden)
+// @route   PUT /api/admin/roles/:name
+// @access  Private (roles:manage)
+const updateRole = asyncHandler(async (req, res) => {
+  const { name } = req.params;
+  const { description, permissions } = req.body;
+
+  if (name === 'admin') {
+    return res.status(400).json({
+      success: false,
+      message: 'The admin role always has every permission and cannot be changed'
+    });
+  }
+
+  if (!(await Role.isDefined(name))) {
+    return res.status(404).json({
+      success: false,
+      message: 'Role not found'
+    });
+  }
+
+  if (name === req.user.role) {
+    return res.status(403).json({
+      success: false,
+      message: 'You cannot change your own role'
+    });
+  }
+
+  // Roles with permissions beyond the caller's are managed by someone who has them
+  if (!(await req.user.canManageRole(name))) {
+    return res.status(403).json({
+      success: false,
+      message: 'You cannot manage a role with permissions you do not have'
+    });
+  }
+
+  const ungrantable = await getUngrantablePermissions(req.user, permissions);
+  if (ungrantable.length > 0) {
+    return res.status(403).json({
+      success: false,
+      message: `You cannot grant permissions you do not have: ${ungrantable.join(', ')}`
+    });
+  }
+
+  const defaults = DEFAULT_ROLES[name] || { description: '', permissions: [] };
+  const existing = await Role.findOne({ name }).lean();
+
+  const role = await Role.findOneAndUpdate(
+    { name },
+    {
+      description: description !== undefined ? description : (existing ? existing.description : defaults.description),
+      permissions: permissions !== undefined ? permissions : (existing ? existing.permissions : defaults.permissions)
+    },
+    {
+      new: true,
+      upsert: true,
+      runValidators: true
+    }
+  );
+
+  res.json({
+    success: true,
+    message: 'Role updated successfully',
+    data: role
+  });
+});
+
+// @desc    Delete custom role (or reset an overridden built-in role)
+// @route   DELETE /api/admin/roles/:name
+// @access  Private (roles:manage)
+const deleteRole = asyncHandler(async (req, res) => {
+  const { name } = req.params;
+  const builtIn = DEFAULT_ROLES[name];
+
+  if (builtIn && builtIn.isSystem) {
+    return res.status(400).json({
+      success: false,
+      message: 'System roles cannot be deleted'
+    });
+  }
+
+  const role = await Role.findOne({ name });
+  if (!role) {
+    return res.status(404).json({
+      success: false,
+      message: builtIn ? 'Built-in role has no overrides to reset' : 'Role not found'
+    });
+  }
+
+  if (name === req.user.role) {
+    return res.status(403).json({
+      success: false,
+      message: 'You cannot change your own role'
+    });
+  }
+
+  if (!(await req.user.canManageRole(name))) {
+    return res.status(403).json({
+      success: false,
+      message: 'You cannot manage a role with permissions you do not have'
+    });
+  }
+
+  // Built-in roles fall back to their defaults, so only custom roles must be unused
+  if (!builtIn) {
+    const usersCount = await User.countDocuments({ role: name });
+    if (usersCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete role. It is assigned to ${usersCount} user(s).`
+      });
+    }
+  }
+
+  await role.deleteOne();
+
+  res.json({
+    success: true,
+    message: builtIn ? 'Role reset to its default permissions' : 'Role deleted successfully'
+  });
+});
+
+module.exports = {
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole
+};
@@ -0,0 +1,103 @@
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const SearchQuery = require('../models/SearchQuery');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { getImageSrcset } = require('../utils/uploads');
+const { escapeRegex, normalizeQuery, extractWords } = require('../utils/search');
+
+const SUGGEST_MIN_LENGTH = 2;
+const SUGGEST_LIMITS = { products: 5, categories: 3, tags: 3, queries: 3 };
+
+// @desc    Autocomplete suggestions for the search box
+// @route   GET /api/products/suggest?q=
+// @access  Public
+const getSuggestions = asyncHandler(async (req, res) => {
+  const q = normalizeQuery(req.query.q || '');
+
+  // Suggestions change slowly; let browsers and proxies reuse them for a minute
+  res.set('Cache-Control', 'public, max-age=60');
+
+  if (q.length < SUGGEST_MIN_LENGTH) {
+    return res.json({
+      success: true,
+      query: q,
+      count: 0,
+      data: []
+    });
+  }
+
+  const escaped = escapeRegex(q);
+  const prefix = new RegExp(`^${escaped}`, 'i');
+
+  // Names are matched on their stored lowercase words: earlier words must match
+  // whole and the last one by prefix ("blue shi" finds "Blue Shirt"). Case-sensitive
+  // anchored regexes can use the searchTokens index.
+  const words = extractWords(q);
+  const lastWord = words.pop() || q;
+  const nameFilter = {
+    $and: [
+      ...words.map(word => ({ searchTokens: word })),
+      { searchTokens: new RegExp(`^${escapeRegex(lastWord)}`) }
+    ]
+  };
+
+  // Independent lookups, run in parallel to keep keystroke latency low
+  const [products, categories, tags, queries] = await Promise.all([
+    Product.find({ isActive: true, ...nameFilter })
+      .select('name slug price images')
+      .sort({ featured: -1, numReviews: -1 })
+      .limit(SUGGEST_LIMITS.products)
+      .lean(),
+    Category.find({ isActive: true, ...nameFilter })
+      .select('name slug')
+      .sort({ name: 1 })
+      .limit(SUGGEST_LIMITS.categories)
+      .lean(),
+    Product.aggregate([
+      { $match: { isActive: true, tags: prefix } },
+      { $unwind: '$tags' },
+      { $match: { tags: prefix } },
+      { $group: { _id: { $toLower: '$tags' }, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: SUGGEST_LIMITS.tags }
+    ]),
+    // Stored queries are normalised, so a case-sensitive anchored regex can use the index.
+    // Only queries searched by several clients are shown, so one client cannot plant suggestions.
+    SearchQuery.find({ query: new RegExp(`^${escaped}`), ...SearchQuery.popularFilter() })
+      .select('query count')
+      .sort({ count: -1 })
+      .limit(SUGGEST_LIMITS.queries)
+      .lean()
+  ]);
+
+  const suggestions = [
+    ...queries.map(item => ({ type: 'query', text: item.query })),
+    ...products.map(product => ({
+      type: 'product',
+      id: product._id,
+      text: product.name,
+      slug: product.slug,
+      price: product.price,
+      // Suggestions are shown small, so send the thumbnail rendition
+      image: product.images[0] ? getImageSrcset(product.images[0]).thumbnail : null
+    })),
+    ...categories.map(category => ({
+      type: 'category',
+      id: category._id,
+      text: category.name,
+      slug: category.slug
+    })),
+    ...tags.map(tag => ({ type: 'tag', text: tag._id, count: tag.count }))
+  ];
+
+  res.json({
+    success: true,
+    query: q,
+    count: suggestions.length,
+    data: suggestions
+  });
+});
+
+module.exports = {
+  getSuggestions
+};
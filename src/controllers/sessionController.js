@@ -0,0 +1,57 @@
+const User = require('../models/User');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// @desc    Get active sessions (devices) for the current user
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select('+sessions');
+
+  const sessions = user.sessions
+    .filter(session => session.expiresAt > Date.now())
+    .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+    .map(session => ({
+      id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session._id.toString() === req.sessionId
+    }));
+
+  res.json({
+    success: true,
+    count: sessions.length,
+    data: sessions
+  });
+});
+
+// @desc    Revoke a single session
+// @route   DELETE /api/auth/sessions/:sessionId
+// @access  Private
+const revokeSession = asyncHandler(async (req, res) => {
+  const result = await User.updateOne(
+    { _id: req.user._id, 'sessions._id': req.params.sessionId },
+    { $pull: { sessions: { _id: req.params.sessionId } } }
+  );
+
+  if (result.modifiedCount === 0) {
+    return res.status(404).json({
+      success: false,
+      message: 'Session not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: req.params.sessionId === req.sessionId
+      ? 'Current session revoked. You have been logged out.'
+      : 'Session revoked successfully'
+  });
+});
+
+module.exports = {
+  getSessions,
+  revokeSession
+};
@@ -0,0 +1,77 @@
+const Synonym = require('../models/Synonym');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// @desc    Get search synonym groups
+// @route   GET /api/admin/synonyms
+// @access  Private (products:write)
+const getSynonyms = asyncHandler(async (req, res) => {
+  const synonyms = await Synonym.find().sort({ terms: 1 });
+
+  res.json({
+    success: true,
+    count: synonyms.length,
+    data: synonyms
+  });
+});
+
+// @desc    Create search synonym group
+// @route   POST /api/admin/synonyms
+// @access  Private (products:write)
+const createSynonym = asyncHandler(async (req, res) => {
+  const synonym = await Synonym.create({ terms: req.body.terms });
+
+  res.status(201).json({
+    success: true,
+    message: 'Synonym group created successfully',
+    data: synonym
+  });
+});
+
+// @desc    Update search synonym group
+// @route   PUT /api/admin/synonyms/:id
+// @access  Private (products:write)
+const updateSynonym = asyncHandler(async (req, res) => {
+  const synonym = await Synonym.findById(req.params.id);
+
+  if (!synonym) {
+    return res.status(404).json({
+      success: false,
+      message: 'Synonym group not found'
+    });
+  }
+
+  synonym.terms = req.body.terms;
+  await synonym.save();
+
+  res.json({
+    success: true,
+    message: 'Synonym group updated successfully',
+    data: synonym
+  });
+});
+
+// @desc    Delete search synonym group
+// @route   DELETE /api/admin/synonyms/:id
+// @access  Private (products:write)
+const deleteSynonym = asyncHandler(async (req, res) => {
+  const synonym = await Synonym.findByIdAndDelete(req.params.id);
+
+  if (!synonym) {
+    return res.status(404).json({
+      success: false,
+      message: 'Synonym group not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Synonym group deleted successfully'
+  });
+});
+
+module.exports = {
+  getSynonyms,
+  createSynonym,
+  updateSynonym,
+  deleteSynonym
+};
@@ -0,0 +1,303 @@
+const User = require('../models/User');
+const Role = require('../models/Role');
+const Cart = require('../models/Cart');
+const Wishlist = require('../models/Wishlist');
+const Review = require('../models/Review');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { sendMail } = require('../services/emailService');
+const { getEmailVerificationTemplate } = require('../services/emailTemplates');
+const { escapeRegex } = require('../utils/search');
+
+// Fields never returned by the admin user endpoints
+const HIDDEN_FIELDS = '-password -emailVerificationToken -emailVerificationExpires -emailChangeToken -emailChangeExpires -passwordResetToken -passwordResetExpires -magicLinkToken -magicLinkExpires';
+
+// @desc    Get users with pagination, search and filters
+// @route   GET /api/admin/users
+// @access  Private (users:read)
+const getUsers = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+  const { search, role, isEmailVerified, isActive, sort } = req.query;
+
+  // Build filter object
+  let filter = {};
+
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), 'i');
+    filter.$or = [{ name: pattern }, { email: pattern }];
+  }
+
+  if (role) {
+    filter.role = role;
+  }
+
+  if (isEmailVerified !== undefined) {
+    filter.isEmailVerified = isEmailVerified === 'true';
+  }
+
+  if (isActive !== undefined) {
+    filter.isActive = isActive === 'true';
+  }
+
+  // Build sort object
+  let sortObj = { createdAt: -1 };
+  switch (sort) {
+    case 'name_asc':
+      sortObj = { name: 1 };
+      break;
+    case 'name_desc':
+      sortObj = { name: -1 };
+      break;
+    case 'oldest':
+      sortObj = { createdAt: 1 };
+      break;
+    default:
+      sortObj = { createdAt: -1 };
+  }
+
+  const users = await User.find(filter)
+    .select(HIDDEN_FIELDS)
+    .sort(sortObj)
+    .skip(skip)
+    .limit(limit);
+
+  const total = await User.countDocuments(filter);
+
+  res.json({
+    success: true,
+    count: users.length,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    },
+    filters: {
+      search,
+      role,
+      isEmailVerified,
+      isActive,
+      sort
+    },
+    data: users
+  });
+});
+
+// @desc    Get single user
+// @route   GET /api/admin/users/:id
+// @access  Private (users:read)
+const getUser = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id).select(HIDDEN_FIELDS);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: user
+  });
+});
+
+// @desc    Update user role
+// @route   PUT /api/admin/users/:id/role
+// @access  Private (users:write)
+const updateUserRole = asyncHandler(async (req, res) => {
+  const { role } = req.body;
+
+  if (req.params.id === req.user.id) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot change your own role'
+    });
+  }
+
+  if (!(await Role.isDefined(role))) {
+    return res.status(400).json({
+      success: false,
+      message: `Role '${role}' does not exist`
+    });
+  }
+
+  if (!(await req.user.canManageRole(role))) {
+    return res.status(403).json({
+      success: false,
+      message: 'You cannot assign a role with permissions you do not have'
+    });
+  }
+
+  const target = await User.findById(req.params.id).select('role');
+
+  if (!target) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  if (!(await req.user.canManageRole(target.role))) {
+    return res.status(403).json({
+      success: false,
+      message: 'You cannot manage a user with permissions you do not have'
+    });
+  }
+
+  const user = await User.findByIdAndUpdate(
+    req.params.id,
+    { role },
+    {
+      new: true,
+      runValidators: true
+    }
+  ).select(HIDDEN_FIELDS);
+
+  res.json({
+    success: true,
+    message: 'User role updated successfully',
+    data: user
+  });
+});
+
+// @desc    Activate or deactivate user
+// @route   PUT /api/admin/users/:id/status
+// @access  Private (users:write)
+const updateUserStatus = asyncHandler(async (req, res) => {
+  const { isActive } = req.body;
+
+  if (req.params.id === req.user.id) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot change the status of your own account'
+    });
+  }
+
+  const target = await User.findById(req.params.id).select('role');
+
+  if (!target) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  if (!(await req.user.canManageRole(target.role))) {
+    return res.status(403).json({
+      success: false,
+      message: 'You cannot manage a user with permissions you do not have'
+    });
+  }
+
+  const update = { isActive };
+
+  // Deactivated users are signed out everywhere
+  if (!isActive) {
+    update.sessions = [];
+  }
+
+  const user = await User.findByIdAndUpdate(req.params.id, update, { new: true })
+    .select(HIDDEN_FIELDS);
+
+  res.json({
+    success: true,
+    message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
+    data: user
+  });
+});
+
+// @desc    Resend verification email for user
+// @route   POST /api/admin/users/:id/resend-verification
+// @access  Private (users:write)
+const resendUserVerification = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  if (user.isEmailVerified) {
+    return res.status(400).json({
+      success: false,
+      message: 'Email is already verified'
+    });
+  }
+
+  // Generate new verification token
+  const verificationToken = user.generateEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const verificationUrl = `${req.protocol}://${req.get('host')}/api/auth/verify?token=${verificationToken}`;
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: '📧 New Verification Link - MVP Ecommerce',
+      html: getEmailVerificationTemplate(user.name, verificationUrl, true)
+    });
+
+    res.json({
+      success: true,
+      message: 'Verification email sent successfully'
+    });
+  } catch (error) {
+    console.error('Email sending failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification email'
+    });
+  }
+});
+
+// @desc    Delete user
+// @route   DELETE /api/admin/users/:id
+// @access  Private (users:write)
+const deleteUser = asyncHandler(async (req, res) => {
+  if (req.params.id === req.user.id) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot delete your own account'
+    });
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  if (!(await req.user.canManageRole(user.role))) {
+    return res.status(403).json({
+      success: false,
+      message: 'You cannot manage a user with permissions you do not have'
+    });
+  }
+
+  // Orders are kept for accounting; cart, wishlist and reviews go with the user
+  await Cart.deleteOne({ user: user._id });
+  await Wishlist.deleteOne({ user: user._id });
+  await Review.removeByUser(user._id);
+  await User.findByIdAndDelete(user._id);
+
+  res.json({
+    success: true,
+    message: 'User deleted successfully'
+  });
+});
+
+module.exports = {
+  getUsers,
+  getUser,
+  updateUserRole,
+  updateUserStatus,
+  resendUserVerification,
+  deleteUser
+};
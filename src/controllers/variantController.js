@@ -0,0 +1,235 @@
+const Product = require('../models/Product');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { getUploadUrl, deleteUploadedFile } = require('../utils/uploads');
+
+// Variant options arrive as an object (JSON body, `options[Size]=M` form fields) or a JSON string
+const parseOptions = (value) => {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (typeof value === 'string') {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return null;
+    }
+  }
+  return value;
+};
+
+// Convert variant image filenames to full URLs (toJSON flattens the options map and adds imageSets)
+const formatVariant = (variant) => {
+  const data = variant.toJSON();
+  data.images = data.images.map(getUploadUrl);
+  return data;
+};
+
+// Check that no other product or variant already uses this SKU
+const isSkuTaken = async (sku, variantId) => {
+  const existing = await Product.findOne({
+    variants: { $elemMatch: { sku: sku.trim().toUpperCase(), _id: { $ne: variantId } } }
+  }).select('_id');
+  return !!existing;
+};
+
+// @desc    Get product options and variants
+// @route   GET /api/products/:id/variants
+// @access  Public
+const getVariants = asyncHandler(async (req, res) => {
+  const product = await Product.findById(req.params.id).select('name options variants isActive');
+
+  if (!product || !product.isActive) {
+    return res.status(404).json({
+      success: false,
+      message: 'Product not found'
+    });
+  }
+
+  const variants = product.variants.filter(variant => variant.isActive);
+
+  res.json({
+    success: true,
+    count: variants.length,
+    data: {
+      options: product.options,
+      variants: variants.map(formatVariant)
+    }
+  });
+});
+
+// @desc    Set product option axes
+// @route   PUT /api/products/:id/options
+// @access  Private (products:write)
+const updateOptions = asyncHandler(async (req, res) => {
+  const product = await Product.findById(req.params.id);
+
+  if (!product) {
+    return res.status(404).json({
+      success: false,
+      message: 'Product not found'
+    });
+  }
+
+  // Existing variants are re-validated against the new axes on save
+  product.options = req.body.options;
+  await product.save();
+
+  res.json({
+    success: true,
+    message: 'Product options updated successfully',
+    data: {
+      options: product.options,
+      variants: product.variants.map(formatVariant)
+    }
+  });
+});
+
+// @desc    Add variant to product
+// @route   POST /api/products/:id/variants
+// @access  Private (products:write)
+const createVariant = asyncHandler(async (req, res) => {
+  const { sku, price, originalPrice, stock, isActive } = req.body;
+  const options = parseOptions(req.body.options) || {};
+  const images = req.files ? req.files.map(file => file.filename) : [];
+
+  const product = await Product.findById(req.params.id);
+
+  if (!product) {
+    images.forEach(deleteUploadedFile);
+    return res.status(404).json({
+      success: false,
+      message: 'Product not found'
+    });
+  }
+
+  if (!sku || price === undefined || isNaN(parseFloat(price)) || stock === undefined || isNaN(parseInt(stock))) {
+    images.forEach(deleteUploadedFile);
+    return res.status(400).json({
+      success: false,
+      message: 'Variant SKU, price and stock are required'
+    });
+  }
+
+  if (await isSkuTaken(sku)) {
+    images.forEach(deleteUploadedFile);
+    return res.status(400).json({
+      success: false,
+      message: 'A variant with this SKU already exists'
+    });
+  }
+
+  product.variants.push({
+    sku,
+    options,
+    price: parseFloat(price),
+    originalPrice: originalPrice ? parseFloat(originalPrice) : undefined,
+    stock: parseInt(stock),
+    images,
+    isActive: isActive !== undefined ? (isActive === 'true' || isActive === true) : true
+  });
+
+  try {
+    await product.save();
+  } catch (error) {
+    images.forEach(deleteUploadedFile);
+    throw error;
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Variant created successfully',
+    data: formatVariant(product.variants[product.variants.length - 1])
+  });
+});
+
+// @desc    Update variant
+// @route   PUT /api/products/:id/variants/:variantId
+// @access  Private (products:write)
+const updateVariant = asyncHandler(async (req, res) => {
+  const { sku, price, originalPrice, stock, isActive } = req.body;
+  const options = parseOptions(req.body.options);
+  const images = req.files ? req.files.map(file => file.filename) : [];
+
+  const product = await Product.findById(req.params.id);
+  const variant = product && product.findVariant(req.params.variantId);
+
+  if (!variant) {
+    images.forEach(deleteUploadedFile);
+    return res.status(404).json({
+      success: false,
+      message: 'Variant not found'
+    });
+  }
+
+  if (sku && await isSkuTaken(sku, variant._id)) {
+    images.forEach(deleteUploadedFile);
+    return res.status(400).json({
+      success: false,
+      message: 'A variant with this SKU already exists'
+    });
+  }
+
+  const previousImages = variant.images;
+
+  if (sku) variant.sku = sku;
+  if (options) variant.options = options;
+  if (price !== undefined) variant.price = parseFloat(price);
+  if (originalPrice !== undefined) variant.originalPrice = originalPrice === '' ? undefined : parseFloat(originalPrice);
+  if (stock !== undefined) variant.stock = parseInt(stock);
+  if (isActive !== undefined) variant.isActive = isActive === 'true' || isActive === true;
+
+  // New uploads replace the variant's images
+  if (images.length > 0) {
+    variant.images = images;
+  }
+
+  try {
+    await product.save();
+  } catch (error) {
+    images.forEach(deleteUploadedFile);
+    throw error;
+  }
+
+  if (images.length > 0) {
+    previousImages.forEach(deleteUploadedFile);
+  }
+
+  res.json({
+    success: true,
+    message: 'Variant updated successfully',
+    data: formatVariant(variant)
+  });
+});
+
+// @desc    Delete variant
+// @route   DELETE /api/products/:id/variants/:variantId
+// @access  Private (products:write)
+const deleteVariant = asyncHandler(async (req, res) => {
+  const product = await Product.findById(req.params.id);
+  const variant = product && product.findVariant(req.params.variantId);
+
+  if (!variant) {
+    return res.status(404).json({
+      success: false,
+      message: 'Variant not found'
+    });
+  }
+
+  const images = variant.images;
+  variant.deleteOne();
+  await product.save();
+  images.forEach(deleteUploadedFile);
+
+  res.json({
+    success: true,
+    message: 'Variant deleted successfully'
+  });
+});
+
+module.exports = {
+  getVariants,
+  updateOptions,
+  createVariant,
+  updateVariant,
+  deleteVariant
+};
@@ -1,11 +1,52 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
 
-// Protect routes - require authentication
+// How often a session's or API key's last-used time is written back while it is in use
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Authenticate a server-to-server request as the key's creator, limited to the key's scopes
+const authenticateApiKey = async (key, req, res, next) => {
+  const apiKey = await ApiKey.findOne({ keyHash: ApiKey.hashKey(key) });
+
+  if (!apiKey || !apiKey.isUsable()) {
+    return res.status(401).json({
+      success: false,
+      message: 'API key is invalid, expired or revoked.'
+    });
+  }
+
+  const user = await User.findById(apiKey.createdBy).select('-password');
+  if (!user || !user.isActive) {
+    return res.status(401).json({
+      success: false,
+      message: 'API key owner no longer has access.'
+    });
+  }
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt > SESSION_TOUCH_INTERVAL_MS) {
+    await ApiKey.updateOne(
+      { _id: apiKey._id },
+      { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip } }
+    );
+  }
+
+  user.$locals.permissionScope = apiKey.scopes;
+  req.user = user;
+  req.apiKey = apiKey;
+  next();
+};
+
+// Protect routes - require authentication (bearer JWT or X-API-Key header)
 const protect = async (req, res, next) => {
   try {
     let token;
 
+    const apiKey = req.get('x-api-key');
+    if (apiKey) {
+      return await authenticateApiKey(apiKey, req, res, next);
+    }
+
     if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
       token = req.headers.authorization.split(' ')[1];
     }
@@ -19,7 +60,7 @@ const protect = async (req, res, next) => {
 
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id).select('-password');
+      const user = await User.findById(decoded.id).select('-password +sessions');
 
       if (!user) {
         return res.status(401).json({
@@ -35,7 +76,25 @@ const protect = async (req, res, next) => {
         });
       }
 
+      // Reject access tokens whose session was revoked (logout, password reset, ...)
+      const session = decoded.sid && user.sessions.id(decoded.sid);
+      if (!session) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked. Please log in again.'
+        });
+      }
+
+      // Record activity without writing on every single request
+      if (!session.lastUsedAt || Date.now() - session.lastUsedAt > SESSION_TOUCH_INTERVAL_MS) {
+        await User.updateOne(
+          { _id: user._id, 'sessions._id': session._id },
+          { $set: { 'sessions.$.lastUsedAt': new Date(), 'sessions.$.ip': req.ip } }
+        );
+      }
+
       req.user = user;
+      req.sessionId = decoded.sid;
       next();
     } catch (error) {
       return res.status(401).json({
@@ -51,28 +110,99 @@ const protect = async (req, res, next) => {
   }
 };
 
-// Grant access to specific roles
-const authorize = (...roles) => {
-  return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({
+// Account endpoints need a real login; API keys only reach permission-guarded routes
+const requireSession = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({
+      success: false,
+      message: 'API keys cannot be used for this route.'
+    });
+  }
+  next();
+};
+
+// Signed-in users are authenticated as usual; anyone else continues as a guest,
+// identified by the X-Guest-Token header once they have one
+const protectOrGuest = (req, res, next) => {
+  if (req.headers.authorization || req.get('x-api-key')) {
+    return protect(req, res, () => requireSession(req, res, next));
+  }
+
+  req.guestToken = req.get('x-guest-token') || null;
+  next();
+};
+
+// Roles configured in TWO_FACTOR_REQUIRED_ROLES must enroll before using privileged routes
+// (API keys are exempt: they are minted by an already-authorized user)
+const rejectWithoutTwoFactor = (req, res) => {
+  if (!req.apiKey && req.user.requiresTwoFactor() && !req.user.twoFactorEnabled) {
+    res.status(403).json({
+      success: false,
+      message: 'Two-factor authentication must be enabled to access this route.'
+    });
+    return true;
+  }
+  return false;
+};
+
+// Grant access to users whose role (and API key scopes, if any) has every listed permission
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      const granted = await req.user.getPermissions();
+      const missing = permissions.filter(permission => !granted.includes(permission));
+
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `Missing permission: ${missing.join(', ')}`
+        });
+      }
+
+      if (rejectWithoutTwoFactor(req, res)) {
+        return;
+      }
+
+      next();
+    } catch (error) {
+      return res.status(500).json({
         success: false,
-        message: `User role '${req.user.role}' is not authorized to access this route.`
+        message: 'Server error during authorization.'
       });
     }
-    next();
   };
 };
 
-// Generate JWT token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: '30d',
+// Generate short-lived JWT access token bound to a login session
+const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m',
   });
 };
 
+// Generate short-lived token proving the password step of a two-factor login
+const generateTwoFactorChallengeToken = (id) => {
+  return jwt.sign({ id, purpose: '2fa_challenge' }, process.env.JWT_SECRET, {
+    expiresIn: '5m',
+  });
+};
+
+// Verify a two-factor challenge token, returning the user id or null
+const verifyTwoFactorChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa_challenge' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
 module.exports = {
   protect,
-  authorize,
-  generateToken
+  requireSession,
+  protectOrGuest,
+  requirePermission,
+  generateToken,
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken
 };
@@ -1,49 +1,78 @@
 const multer = require('multer');
 const path = require('path');
+const { saveImageRenditions } = require('../services/imageService');
+const { deleteUploadedFile } = require('../utils/uploads');
 
-// Configure storage
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, 'src/uploads/');
-  },
-  filename: function (req, file, cb) {
-    // Generate unique filename with timestamp
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+// Images are kept in memory until they are checked and converted to WebP renditions
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit per file
   }
 });
 
-// File filter
-const fileFilter = (req, file, cb) => {
-  // Check file type
-  if (file.mimetype.startsWith('image/')) {
-    cb(null, true);
-  } else {
-    cb(new Error('Only image files are allowed!'), false);
+// Check uploaded files by content (not the client's mimetype) and write their renditions.
+// Afterwards file.filename holds the stored name, as it did with disk storage.
+const processImages = async (req, res, next) => {
+  const files = req.files || (req.file ? [req.file] : []);
+  const saved = [];
+
+  try {
+    for (const file of files) {
+      // Field names come from the client, so they are not used in file names
+      file.filename = await saveImageRenditions(file.buffer);
+      file.buffer = null;
+      saved.push(file.filename);
+    }
+    next();
+  } catch (error) {
+    saved.forEach(deleteUploadedFile);
+    next(error);
   }
 };
 
-// Configure multer
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB limit per file
-  },
-  fileFilter: fileFilter
-});
-
 // Upload multiple images (up to 5)
-const uploadProductImages = upload.array('images', 5);
+const uploadProductImages = [upload.array('images', 5), processImages];
 
 // Upload single image
-const uploadSingleImage = upload.single('image');
+const uploadSingleImage = [upload.single('image'), processImages];
 
-// Upload single image with flexible field name
-const uploadSingleImageFlexible = upload.any();
+// Upload single image with flexible field name (any field, but only one file)
+const uploadSingleImageFlexible = [
+  multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: 5 * 1024 * 1024, // 5MB limit
+      files: 1
+    }
+  }).any(),
+  processImages
+];
+
+// Upload a CSV file (kept in memory, never written to disk)
+const uploadCsvFile = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+  },
+  fileFilter: function (req, file, cb) {
+    if (file.mimetype === 'text/csv' || path.extname(file.originalname).toLowerCase() === '.csv') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV files are allowed!'), false);
+    }
+  }
+}).single('file');
 
 // Error handling middleware for multer
 const handleUploadError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
+    if (err.code === 'LIMIT_FILE_SIZE' && err.field === 'file') {
+      return res.status(400).json({
+        success: false,
+        message: 'File size too large. Maximum size is 10MB for CSV files.'
+      });
+    }
     if (err.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({
         success: false,
@@ -53,7 +82,7 @@ const handleUploadError = (err, req, res, next) => {
     if (err.code === 'LIMIT_FILE_COUNT') {
       return res.status(400).json({
         success: false,
-        message: 'Too many files. Maximum 5 images allowed.'
+        message: 'Too many files. Maximum 5 images allowed (1 for single image uploads).'
       });
     }
     if (err.code === 'LIMIT_UNEXPECTED_FILE') {
@@ -64,10 +93,10 @@ const handleUploadError = (err, req, res, next) => {
     }
   }
 
-  if (err.message === 'Only image files are allowed!') {
+  if (err.message === 'Only image files are allowed!' || err.message === 'Only CSV files are allowed!') {
     return res.status(400).json({
       success: false,
-      message: 'Only image files are allowed!'
+      message: err.message
     });
   }
 
@@ -78,5 +107,6 @@ module.exports = {
   uploadProductImages,
   uploadSingleImage,
   uploadSingleImageFlexible,
+  uploadCsvFile,
   handleUploadError
 };
@@ -1,11 +1,11 @@
 const Joi = require('joi');
+const { PERMISSIONS } = require('../config/permissions');
 
 // User validation schemas
 const registerValidation = Joi.object({
   name: Joi.string().min(2).max(50).required(),
   email: Joi.string().email().required(),
-  password: Joi.string().min(6).required(),
-  role: Joi.string().valid('user', 'admin').optional().default('user')
+  password: Joi.string().min(6).required()
 }).unknown(false);
 
 const loginValidation = Joi.object({
@@ -13,10 +13,119 @@ const loginValidation = Joi.object({
   password: Joi.string().required()
 });
 
+const forgotPasswordValidation = Joi.object({
+  email: Joi.string().email().required()
+});
+
+const magicLinkValidation = Joi.object({
+  email: Joi.string().email().required()
+});
+
+const verifyMagicLinkValidation = Joi.object({
+  token: Joi.string().required()
+});
+
+const resetPasswordValidation = Joi.object({
+  token: Joi.string().required(),
+  password: Joi.string().min(6).required()
+});
+
+const refreshTokenValidation = Joi.object({
+  refreshToken: Joi.string().required()
+});
+
+const twoFactorCodeValidation = Joi.object({
+  code: Joi.string().required()
+});
+
+const twoFactorLoginValidation = Joi.object({
+  challengeToken: Joi.string().required(),
+  code: Joi.string().required()
+});
+
+const disableTwoFactorValidation = Joi.object({
+  password: Joi.string().required(),
+  code: Joi.string().required()
+});
+
+const deleteAccountValidation = Joi.object({
+  password: Joi.string()
+});
+
+// Address book validation schemas
+const phonePattern = /^\+?[0-9\s()-]{6,20}$/;
+
+const addressValidation = Joi.object({
+  label: Joi.string().max(50).optional(),
+  fullName: Joi.string().required(),
+  phone: Joi.string().pattern(phonePattern).optional(),
+  address: Joi.string().required(),
+  city: Joi.string().required(),
+  postalCode: Joi.string().required(),
+  country: Joi.string().required(),
+  isDefaultShipping: Joi.boolean().optional(),
+  isDefaultBilling: Joi.boolean().optional()
+});
+
+const updateAddressValidation = Joi.object({
+  label: Joi.string().max(50).optional(),
+  fullName: Joi.string().optional(),
+  phone: Joi.string().pattern(phonePattern).allow('').optional(),
+  address: Joi.string().optional(),
+  city: Joi.string().optional(),
+  postalCode: Joi.string().optional(),
+  country: Joi.string().optional(),
+  isDefaultShipping: Joi.boolean().optional(),
+  isDefaultBilling: Joi.boolean().optional()
+});
+
+// Admin user management validation schemas
+const updateUserRoleValidation = Joi.object({
+  role: Joi.string().required()
+});
+
+const updateUserStatusValidation = Joi.object({
+  isActive: Joi.boolean().required()
+});
+
+// Invitation validation schemas
+const invitationValidation = Joi.object({
+  email: Joi.string().email().required(),
+  role: Joi.string().optional().default('user')
+});
+
+const acceptInvitationValidation = Joi.object({
+  token: Joi.string().required(),
+  name: Joi.string().min(2).max(50).required(),
+  password: Joi.string().min(6).required()
+});
+
+// Role validation schemas
+const rolePermissionsValidation = Joi.array().items(Joi.string().valid(...Object.keys(PERMISSIONS))).unique();
+
+const roleValidation = Joi.object({
+  name: Joi.string().pattern(/^[a-z][a-z0-9_-]*$/).max(30).required(),
+  description: Joi.string().max(200).allow('').optional(),
+  permissions: rolePermissionsValidation.required()
+});
+
+const updateRoleValidation = Joi.object({
+  description: Joi.string().max(200).allow('').optional(),
+  permissions: rolePermissionsValidation.optional()
+});
+
+// API key validation schemas
+const apiKeyValidation = Joi.object({
+  name: Joi.string().max(100).required(),
+  scopes: rolePermissionsValidation.min(1).required(),
+  expiresInDays: Joi.number().integer().min(1).max(3650).optional()
+});
+
 // Category validation schemas
 const categoryValidation = Joi.object({
   name: Joi.string().min(2).max(50).required(),
   description: Joi.string().optional(),
+  parent: Joi.string().hex().length(24).allow('', null).optional(),
   isActive: Joi.alternatives().try(
     Joi.boolean(),
     Joi.string().valid('true', 'false', 'on', 'off', '').custom((value, helpers) => {
@@ -30,6 +139,7 @@ const categoryValidation = Joi.object({
 const updateCategoryValidation = Joi.object({
   name: Joi.string().min(2).max(50).optional(),
   description: Joi.string().optional(),
+  parent: Joi.string().hex().length(24).allow('', null).optional(),
   image: Joi.string().optional(),
   isActive: Joi.alternatives().try(
     Joi.boolean(),
@@ -45,6 +155,7 @@ const updateCategoryValidation = Joi.object({
 const productValidation = Joi.object({
   name: Joi.string().min(2).max(100).required(),
   description: Joi.string().min(10).required(),
+  sku: Joi.string().trim().max(64).allow('').optional(),
   price: Joi.alternatives().try(
     Joi.number().min(0),
     Joi.string().pattern(/^\d+(\.\d+)?$/).custom((value, helpers) => {
@@ -118,9 +229,54 @@ const productValidation = Joi.object({
   }).optional()
 });
 
+// One row of a product CSV import (every value arrives as a string)
+const productImportRowValidation = Joi.object({
+  sku: Joi.string().trim().max(64).allow(''),
+  slug: Joi.string().trim().lowercase().pattern(/^[a-z0-9-]+$/).allow(''),
+  name: Joi.string().trim().min(2).max(100).required(),
+  description: Joi.string().trim().min(10).required(),
+  price: Joi.number().min(0).required(),
+  stock: Joi.number().integer().min(0).required(),
+  category: Joi.string().trim().lowercase().required(),
+  tags: Joi.string().allow(''),
+  images: Joi.string().allow('')
+});
+
+// Product option axes, e.g. [{ "name": "Size", "values": ["S", "M", "L"] }]
+const productOptionsValidation = Joi.object({
+  options: Joi.array().items(Joi.object({
+    name: Joi.string().trim().min(1).max(30).required(),
+    values: Joi.array().items(Joi.string().trim().min(1).max(50)).min(1).unique().required()
+  })).unique('name').max(3).required()
+});
+
+// Search synonym group, e.g. { "terms": ["tee", "t-shirt"] }
+const synonymValidation = Joi.object({
+  terms: Joi.array().items(Joi.string().trim().lowercase().min(1).max(50)).min(2).max(20).unique().required()
+});
+
+// Review validation schemas
+const reviewValidation = Joi.object({
+  rating: Joi.number().integer().min(1).max(5).required(),
+  title: Joi.string().trim().max(100).allow('').optional(),
+  comment: Joi.string().trim().max(2000).allow('').optional()
+});
+
+const updateReviewValidation = Joi.object({
+  rating: Joi.number().integer().min(1).max(5),
+  title: Joi.string().trim().max(100).allow(''),
+  comment: Joi.string().trim().max(2000).allow('')
+}).min(1);
+
+const moderateReviewValidation = Joi.object({
+  status: Joi.string().valid('approved', 'rejected').required(),
+  note: Joi.string().trim().max(500).allow('').optional()
+});
+
 // Cart validation schemas
 const addToCartValidation = Joi.object({
   productId: Joi.string().required(),
+  variantId: Joi.string().optional(),
   quantity: Joi.number().min(1).max(10).required()
 });
 
@@ -131,15 +287,25 @@ const updateCartValidation = Joi.object({
 // Order validation schemas
 const shippingAddressValidation = Joi.object({
   fullName: Joi.string().required(),
+  phone: Joi.string().pattern(phonePattern).optional(),
   address: Joi.string().required(),
   city: Joi.string().required(),
   postalCode: Joi.string().required(),
   country: Joi.string().required()
 });
 
+// Either an inline address or a saved addressId (falls back to the default saved address).
+// Guests must send an inline address and a contact email.
 const createOrderValidation = Joi.object({
-  shippingAddress: shippingAddressValidation.required(),
+  shippingAddress: shippingAddressValidation,
+  addressId: Joi.string(),
+  email: Joi.string().email(),
   paymentMethod: Joi.string().valid('paypal', 'stripe', 'cash_on_delivery').required()
+}).oxor('shippingAddress', 'addressId');
+
+const orderLookupValidation = Joi.object({
+  orderNumber: Joi.string().required(),
+  email: Joi.string().email().required()
 });
 
 // Validation middleware
@@ -163,10 +329,35 @@ module.exports = {
   validate,
   registerValidation,
   loginValidation,
+  forgotPasswordValidation,
+  magicLinkValidation,
+  verifyMagicLinkValidation,
+  resetPasswordValidation,
+  refreshTokenValidation,
+  twoFactorCodeValidation,
+  twoFactorLoginValidation,
+  disableTwoFactorValidation,
+  deleteAccountValidation,
+  addressValidation,
+  updateAddressValidation,
+  updateUserRoleValidation,
+  updateUserStatusValidation,
+  invitationValidation,
+  acceptInvitationValidation,
+  roleValidation,
+  updateRoleValidation,
+  apiKeyValidation,
   categoryValidation,
   updateCategoryValidation,
   productValidation,
+  productOptionsValidation,
+  productImportRowValidation,
+  synonymValidation,
+  reviewValidation,
+  updateReviewValidation,
+  moderateReviewValidation,
   addToCartValidation,
   updateCartValidation,
-  createOrderValidation
+  createOrderValidation,
+  orderLookupValidation
 };
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { PERMISSIONS } = require('../config/permissions');
+
+const KEY_PREFIX = 'mvp_';
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'API key name is required'],
+    trim: true,
+    maxlength: [100, 'API key name cannot exceed 100 characters']
+  },
+  // First characters of the key, shown so keys can be told apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: [{
+    type: String,
+    enum: Object.keys(PERMISSIONS)
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Hash a raw key the same way it is stored
+apiKeySchema.statics.hashKey = function (key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+// Generate the secret key (only the hash is stored, the raw key is shown once)
+apiKeySchema.methods.generateKey = function () {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+  this.prefix = key.slice(0, KEY_PREFIX.length + 8);
+  this.keyHash = this.constructor.hashKey(key);
+  return key;
+};
+
+// Check if key can still be used
+apiKeySchema.methods.isUsable = function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > Date.now());
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const GUEST_CART_EXPIRE_DAYS = 30;
 
 const cartItemSchema = new mongoose.Schema({
   product: {
@@ -6,6 +9,14 @@ const cartItemSchema = new mongoose.Schema({
     ref: 'Product',
     required: true
   },
+  // Chosen variant of the product (products without variants leave this empty)
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  sku: {
+    type: String
+  },
   quantity: {
     type: Number,
     required: true,
@@ -18,12 +29,23 @@ const cartItemSchema = new mongoose.Schema({
   }
 });
 
+// A cart belongs either to a user or to a guest (identified by a hashed guest token)
 const cartSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
-    unique: true
+    unique: true,
+    sparse: true
+  },
+  guestToken: {
+    type: String,
+    unique: true,
+    sparse: true,
+    select: false
+  },
+  // Abandoned guest carts are removed by MongoDB; user carts never expire
+  expiresAt: {
+    type: Date
   },
   items: [cartItemSchema],
   totalPrice: {
@@ -38,6 +60,29 @@ const cartSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Hash a raw guest token the same way it is stored
+cartSchema.statics.hashGuestToken = function (token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Generate guest token (only the hash is stored)
+cartSchema.methods.generateGuestToken = function () {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.guestToken = this.constructor.hashGuestToken(token);
+  return token;
+};
+
+// Query for the cart of a user or of a guest token holder (null when neither is known)
+cartSchema.statics.findByOwner = function ({ user, guestToken }) {
+  if (user) {
+    return this.findOne({ user });
+  }
+  if (guestToken) {
+    return this.findOne({ guestToken: this.hashGuestToken(guestToken) });
+  }
+  return null;
+};
+
 // Calculate totals before saving
 cartSchema.pre('save', function (next) {
   let totalPrice = 0;
@@ -50,7 +95,14 @@ cartSchema.pre('save', function (next) {
 
   this.totalPrice = totalPrice;
   this.totalItems = totalItems;
+
+  // Keep active guest carts alive
+  if (!this.user) {
+    this.expiresAt = Date.now() + GUEST_CART_EXPIRE_DAYS * 24 * 60 * 60 * 1000;
+  }
   next();
 });
 
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
 module.exports = mongoose.model('Cart', cartSchema);
@@ -1,10 +1,12 @@
 const mongoose = require('mongoose');
+const { assignSlug } = require('../utils/slugs');
+const { getImageSrcset } = require('../utils/uploads');
+const { getSearchTokens } = require('../utils/search');
 
 const categorySchema = new mongoose.Schema({
   name: {
     type: String,
     required: [true, 'Category name is required'],
-    unique: true,
     trim: true,
     minlength: [2, 'Category name must be at least 2 characters'],
     maxlength: [50, 'Category name cannot exceed 50 characters']
@@ -17,6 +19,12 @@ const categorySchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Parent category (null for top-level categories)
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -25,22 +33,95 @@ const categorySchema = new mongoose.Schema({
     type: String,
     unique: true,
     lowercase: true
+  },
+  // Slugs used before a rename; requests for them are redirected to the current slug
+  previousSlugs: [{
+    type: String,
+    lowercase: true
+  }],
+  // Normalised name words for prefix-matching suggestions
+  searchTokens: {
+    type: [String],
+    select: false
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: ['imageSet'] }
 });
 
-// Generate slug before saving
-categorySchema.pre('save', function (next) {
+// Thumbnail, medium and large URLs for the category image
+categorySchema.virtual('imageSet').get(function () {
+  return getImageSrcset(this.image);
+});
+
+// Generate a unique slug before saving
+categorySchema.pre('save', async function () {
   if (this.isModified('name')) {
-    this.slug = this.name
-      .toLowerCase()
-      .replace(/[^a-zA-Z0-9]/g, '-')
-      .replace(/-+/g, '-')
-      .replace(/^-|-$/g, '');
+    await assignSlug(this);
+    this.searchTokens = getSearchTokens(this.name);
   }
-  next();
 });
 
+// Categories from the top level down to this one, e.g. Clothing > Men > Shirts
+categorySchema.methods.getBreadcrumbs = async function () {
+  const breadcrumbs = [{ _id: this._id, name: this.name, slug: this.slug }];
+  const visited = new Set([this._id.toString()]);
+  let parentId = this.parent;
+
+  while (parentId && !visited.has(parentId.toString())) {
+    visited.add(parentId.toString());
+    const parent = await this.constructor.findById(parentId).select('name slug parent');
+    if (!parent) {
+      break;
+    }
+    breadcrumbs.unshift({ _id: parent._id, name: parent.name, slug: parent.slug });
+    parentId = parent.parent;
+  }
+
+  return breadcrumbs;
+};
+
+// Ids of all subcategories below a category, at any depth.
+// With activeOnly, inactive subcategories and everything below them are skipped.
+categorySchema.statics.getDescendantIds = async function (categoryId, { activeOnly = false } = {}) {
+  const descendantIds = [];
+  let frontier = [categoryId];
+
+  while (frontier.length > 0) {
+    const filter = { parent: { $in: frontier }, _id: { $nin: descendantIds } };
+    if (activeOnly) {
+      filter.isActive = true;
+    }
+
+    const children = await this.find(filter).select('_id');
+    frontier = children.map(child => child._id);
+    descendantIds.push(...frontier);
+  }
+
+  return descendantIds;
+};
+
+// Check whether moving a category under parentId would make it its own ancestor
+categorySchema.statics.wouldCreateCycle = async function (categoryId, parentId) {
+  const visited = new Set();
+  let currentId = parentId;
+
+  while (currentId) {
+    if (currentId.toString() === categoryId.toString() || visited.has(currentId.toString())) {
+      return true;
+    }
+    visited.add(currentId.toString());
+    const current = await this.findById(currentId).select('parent');
+    currentId = current ? current.parent : null;
+  }
+
+  return false;
+};
+
+// Names only need to be unique among siblings (Men > Shirts and Women > Shirts)
+categorySchema.index({ parent: 1, name: 1 }, { unique: true });
+categorySchema.index({ previousSlugs: 1 });
+categorySchema.index({ searchTokens: 1 });
+
 module.exports = mongoose.model('Category', categorySchema);
 
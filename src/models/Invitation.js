@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  role: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: 'user'
+  },
+  token: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Generate invitation token (only the hash is stored)
+invitationSchema.methods.generateToken = function () {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.token = crypto.createHash('sha256').update(token).digest('hex');
+  this.expiresAt = Date.now() + 7 * 24 * 60 * 60 * 1000; // 7 days
+  return token;
+};
+
+invitationSchema.index({ token: 1 });
+invitationSchema.index({ email: 1 });
+
+module.exports = mongoose.model('Invitation', invitationSchema);
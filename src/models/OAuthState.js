@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Pending social login: ties the callback back to the request that started it
+const oauthStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  redirectUri: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Generate state value (only the hash is stored)
+oauthStateSchema.methods.generateState = function () {
+  const state = crypto.randomBytes(32).toString('hex');
+  this.state = crypto.createHash('sha256').update(state).digest('hex');
+  this.expiresAt = Date.now() + 10 * 60 * 1000; // 10 minutes
+  return state;
+};
+
+// Let MongoDB remove abandoned login attempts
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OAuthState', oauthStateSchema);
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Unambiguous characters for customer-facing order numbers
+const ORDER_NUMBER_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
 
 const orderItemSchema = new mongoose.Schema({
   product: {
@@ -6,6 +10,18 @@ const orderItemSchema = new mongoose.Schema({
     ref: 'Product',
     required: true
   },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  sku: {
+    type: String
+  },
+  // Snapshot of the variant's option values, e.g. { Size: 'M', Colour: 'Red' }
+  options: {
+    type: Map,
+    of: String
+  },
   name: {
     type: String,
     required: true
@@ -26,10 +42,16 @@ const orderItemSchema = new mongoose.Schema({
 });
 
 const shippingAddressSchema = new mongoose.Schema({
+  label: {
+    type: String
+  },
   fullName: {
     type: String,
     required: true
   },
+  phone: {
+    type: String
+  },
   address: {
     type: String,
     required: true
@@ -56,10 +78,22 @@ const paymentResultSchema = new mongoose.Schema({
 });
 
 const orderSchema = new mongoose.Schema({
+  orderNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // Empty for guest checkouts until the guest registers or claims the order
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    default: null
+  },
+  guestEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
   },
   orderItems: [orderItemSchema],
   shippingAddress: shippingAddressSchema,
@@ -114,4 +148,24 @@ const orderSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Assign a human-friendly order number, e.g. ORD-250314-7KQ2MX9P
+orderSchema.pre('validate', function (next) {
+  if (!this.orderNumber) {
+    const date = new Date().toISOString().slice(2, 10).replace(/-/g, '');
+    const suffix = Array.from(crypto.randomBytes(8), byte => ORDER_NUMBER_ALPHABET[byte % ORDER_NUMBER_ALPHABET.length]).join('');
+    this.orderNumber = `ORD-${date}-${suffix}`;
+  }
+  next();
+});
+
+// Attach guest orders placed with this (verified) email address to the user
+orderSchema.statics.claimGuestOrders = function (user) {
+  return this.updateMany(
+    { user: null, guestEmail: user.email },
+    { $set: { user: user._id } }
+  );
+};
+
+orderSchema.index({ guestEmail: 1 });
+
 module.exports = mongoose.model('Order', orderSchema);
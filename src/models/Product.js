@@ -1,4 +1,73 @@
 const mongoose = require('mongoose');
+const { assignSlug } = require('../utils/slugs');
+const { getImageSrcset } = require('../utils/uploads');
+const { getSearchTokens } = require('../utils/search');
+const SearchTerm = require('./SearchTerm');
+
+// Option axis such as Size: [S, M, L] or Colour: [Red, Blue]
+const optionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Option name is required'],
+    trim: true
+  },
+  values: {
+    type: [{
+      type: String,
+      trim: true
+    }],
+    validate: {
+      validator: values => values.length > 0,
+      message: 'Option must have at least one value'
+    }
+  }
+}, {
+  _id: false
+});
+
+// Purchasable combination of option values with its own SKU, price, stock and images
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, 'Variant SKU is required'],
+    trim: true,
+    uppercase: true
+  },
+  options: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  price: {
+    type: Number,
+    required: [true, 'Variant price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  originalPrice: {
+    type: Number,
+    min: [0, 'Original price cannot be negative']
+  },
+  stock: {
+    type: Number,
+    required: [true, 'Variant stock is required'],
+    min: [0, 'Stock cannot be negative'],
+    default: 0
+  },
+  images: [{
+    type: String
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  toJSON: { virtuals: ['imageSets'] }
+});
+
+// Thumbnail, medium and large URLs for each variant image
+variantSchema.virtual('imageSets').get(function () {
+  return (this.images || []).map(getImageSrcset);
+});
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -14,6 +83,14 @@ const productSchema = new mongoose.Schema({
     trim: true,
     minlength: [10, 'Description must be at least 10 characters']
   },
+  // Stock keeping unit for the product itself (variants have their own)
+  sku: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    unique: true,
+    sparse: true
+  },
   price: {
     type: Number,
     required: [true, 'Price is required'],
@@ -51,6 +128,16 @@ const productSchema = new mongoose.Schema({
     unique: true,
     lowercase: true
   },
+  // Slugs used before a rename; requests for them are redirected to the current slug
+  previousSlugs: [{
+    type: String,
+    lowercase: true
+  }],
+  // Normalised name words for prefix-matching suggestions
+  searchTokens: {
+    type: [String],
+    select: false
+  },
   averageRating: {
     type: Number,
     default: 0,
@@ -81,28 +168,102 @@ const productSchema = new mongoose.Schema({
     length: Number,
     width: Number,
     height: Number
-  }
+  },
+  options: [optionSchema],
+  variants: [variantSchema]
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: ['imageSets'] }
 });
 
-// Generate slug before saving
+// Thumbnail, medium and large URLs for each image, in the same order as `images`
+productSchema.virtual('imageSets').get(function () {
+  return (this.images || []).map(getImageSrcset);
+});
+
+// Every variant must pick exactly one valid value per option, and combinations must be unique
+productSchema.pre('validate', function (next) {
+  const seen = new Set();
+
+  for (const variant of this.variants) {
+    const keys = [...variant.options.keys()];
+
+    if (keys.length !== this.options.length) {
+      this.invalidate('variants', `Variant ${variant.sku} must set a value for each option: ${this.options.map(option => option.name).join(', ')}`);
+      break;
+    }
+
+    const invalid = this.options.find(option => !option.values.includes(variant.options.get(option.name)));
+    if (invalid) {
+      this.invalidate('variants', `Variant ${variant.sku} has an invalid value for ${invalid.name}`);
+      break;
+    }
+
+    const combination = this.options.map(option => variant.options.get(option.name)).join('/');
+    if (seen.has(combination)) {
+      this.invalidate('variants', `More than one variant is defined for ${combination}`);
+      break;
+    }
+    seen.add(combination);
+  }
+
+  next();
+});
+
+// Products with variants list their lowest price and total stock
 productSchema.pre('save', function (next) {
+  const activeVariants = this.variants.filter(variant => variant.isActive);
+  if (activeVariants.length > 0) {
+    this.price = Math.min(...activeVariants.map(variant => variant.price));
+    this.stock = activeVariants.reduce((total, variant) => total + variant.stock, 0);
+  } else if (this.variants.length > 0) {
+    this.stock = 0;
+  }
+  next();
+});
+
+// Generate a unique slug before saving
+productSchema.pre('save', async function () {
   if (this.isModified('name')) {
-    this.slug = this.name
-      .toLowerCase()
-      .replace(/[^a-zA-Z0-9]/g, '-')
-      .replace(/-+/g, '-')
-      .replace(/^-|-$/g, '');
+    // New products may come with a slug chosen by the caller (CSV import checks it is free)
+    if (!(this.isNew && this.slug)) {
+      await assignSlug(this);
+    }
+    this.searchTokens = getSearchTokens(this.name);
   }
+});
+
+// Keep the search vocabulary aware of new words
+productSchema.pre('save', function (next) {
+  this.$locals.searchTextChanged = this.isActive &&
+    (this.isNew || this.isModified('name description tags isActive'));
   next();
 });
 
+productSchema.post('save', function (doc) {
+  if (doc.$locals.searchTextChanged) {
+    SearchTerm.addProductWords(doc).catch(error => {
+      console.error(`Error updating search vocabulary: ${error.message}`);
+    });
+  }
+});
+
+// Find a variant by id (null when the product has no such variant)
+productSchema.methods.findVariant = function (variantId) {
+  if (!variantId || !mongoose.Types.ObjectId.isValid(variantId)) {
+    return null;
+  }
+  return this.variants.id(variantId);
+};
+
 // Index for search functionality
 productSchema.index({ name: 'text', description: 'text', tags: 'text' });
 productSchema.index({ category: 1 });
 productSchema.index({ featured: 1 });
 productSchema.index({ price: 1 });
+productSchema.index({ previousSlugs: 1 });
+productSchema.index({ searchTokens: 1 });
+productSchema.index({ 'variants.sku': 1 }, { unique: true, sparse: true });
 
 module.exports = mongoose.model('Product', productSchema);
 
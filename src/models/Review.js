@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5']
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Review title cannot exceed 100 characters']
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Review cannot exceed 2000 characters']
+  },
+  // New and edited reviews wait in the moderation queue until approved
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  moderatedAt: {
+    type: Date,
+    default: null
+  },
+  moderationNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Moderation note cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Recompute a product's averageRating and numReviews from its approved reviews
+reviewSchema.statics.updateProductRating = async function (productId) {
+  const [stats] = await this.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(productId), status: 'approved' } },
+    { $group: { _id: '$product', averageRating: { $avg: '$rating' }, numReviews: { $sum: 1 } } }
+  ]);
+
+  await mongoose.model('Product').updateOne(
+    { _id: productId },
+    {
+      averageRating: stats ? Math.round(stats.averageRating * 10) / 10 : 0,
+      numReviews: stats ? stats.numReviews : 0
+    }
+  );
+};
+
+// Remove all of a user's reviews and refresh the ratings they contributed to
+reviewSchema.statics.removeByUser = async function (userId) {
+  const productIds = await this.distinct('product', { user: userId, status: 'approved' });
+  await this.deleteMany({ user: userId });
+
+  for (const productId of productIds) {
+    await this.updateProductRating(productId);
+  }
+};
+
+// One review per customer per product
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Review', reviewSchema);
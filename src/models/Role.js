@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS, DEFAULT_ROLES } = require('../config/permissions');
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_-]*$/, 'Role name may only contain lowercase letters, numbers, "-" and "_"'],
+    maxlength: [30, 'Role name cannot exceed 30 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  permissions: [{
+    type: String,
+    enum: Object.keys(PERMISSIONS)
+  }]
+}, {
+  timestamps: true
+});
+
+// Resolve the permissions granted to a role name
+roleSchema.statics.getPermissions = async function (name) {
+  // Admins can never lose access
+  if (name === 'admin') {
+    return Object.keys(PERMISSIONS);
+  }
+
+  const role = await this.findOne({ name }).lean();
+  if (role) {
+    return role.permissions;
+  }
+
+  return DEFAULT_ROLES[name] ? DEFAULT_ROLES[name].permissions : [];
+};
+
+// Check if a role name is built in or has been created
+roleSchema.statics.isDefined = async function (name) {
+  if (DEFAULT_ROLES[name]) {
+    return true;
+  }
+  return !!(await this.exists({ name }));
+};
+
+module.exports = mongoose.model('Role', roleSchema);
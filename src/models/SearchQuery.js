@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { normalizeQuery } = require('../utils/search');
+
+// Queries only become popular suggestions once this many different clients searched them
+const POPULAR_MIN_CLIENTS = parseInt(process.env.POPULAR_SEARCH_MIN_CLIENTS) || 3;
+// Queries nobody searched for this long are removed
+const SEARCH_QUERY_EXPIRE_DAYS = parseInt(process.env.SEARCH_QUERY_EXPIRE_DAYS) || 90;
+// Recent clients remembered per query to tell repeat searches from new clients
+const MAX_CLIENT_HASHES = 50;
+
+// Storefront searches that returned results, used for "popular searches" suggestions
+const searchQuerySchema = new mongoose.Schema({
+  query: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  // Distinct clients (IP addresses) that searched the query
+  clientCount: {
+    type: Number,
+    default: 0
+  },
+  // Hashed ids of the most recent clients
+  clientHashes: {
+    type: [String],
+    select: false
+  },
+  lastSearchedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Count one more search for this query by a client (IP address)
+searchQuerySchema.statics.record = async function (query, clientId) {
+  const normalized = normalizeQuery(query);
+  if (normalized.length < 2) {
+    return;
+  }
+
+  await this.updateOne(
+    { query: normalized },
+    { $inc: { count: 1 }, $set: { lastSearchedAt: Date.now() } },
+    { upsert: true }
+  );
+
+  // Only counts as a new client if it is not among the recent ones
+  const clientHash = crypto.createHash('sha256').update(String(clientId)).digest('hex').slice(0, 16);
+  await this.updateOne(
+    { query: normalized, clientHashes: { $ne: clientHash } },
+    {
+      $inc: { clientCount: 1 },
+      $push: { clientHashes: { $each: [clientHash], $slice: -MAX_CLIENT_HASHES } }
+    }
+  );
+};
+
+// Filter for queries searched by enough different clients to be suggested
+searchQuerySchema.statics.popularFilter = function () {
+  return { clientCount: { $gte: POPULAR_MIN_CLIENTS } };
+};
+
+searchQuerySchema.index({ count: -1 });
+searchQuerySchema.index({ lastSearchedAt: 1 }, { expireAfterSeconds: SEARCH_QUERY_EXPIRE_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('SearchQuery', searchQuerySchema);
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const { extractWords, findClosestWord, escapeRegex } = require('../utils/search');
+
+const MAX_WORD_LENGTH = 40;
+const REBUILD_BATCH_SIZE = 500;
+
+// Words used in active products' names, descriptions and tags: the vocabulary
+// that misspelled search words are corrected against
+const searchTermSchema = new mongoose.Schema({
+  word: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  length: {
+    type: Number,
+    required: true
+  },
+  // Number of active products using the word (refreshed by rebuild)
+  productCount: {
+    type: Number,
+    default: 0
+  },
+  rebuiltAt: {
+    type: Date
+  }
+});
+
+// Words of a product that its text index matches on
+const getProductWords = (product) => {
+  const text = [product.name, product.description, ...(product.tags || [])].join(' ');
+  return [...new Set(extractWords(text))].filter(word => word.length <= MAX_WORD_LENGTH);
+};
+
+// Add a product's words to the vocabulary so new words are known right away.
+// Words that are no longer used are only removed by rebuild().
+searchTermSchema.statics.addProductWords = function (product) {
+  const words = getProductWords(product);
+  if (words.length === 0) {
+    return Promise.resolve();
+  }
+
+  return this.bulkWrite(words.map(word => ({
+    updateOne: {
+      filter: { word },
+      update: { $setOnInsert: { length: word.length, productCount: 1 } },
+      upsert: true
+    }
+  })), { ordered: false });
+};
+
+// Recompute the vocabulary from all active products, dropping unused words
+searchTermSchema.statics.rebuild = async function () {
+  const Product = mongoose.model('Product');
+  const rebuiltAt = new Date();
+  const counts = new Map();
+
+  const cursor = Product.find({ isActive: true }).select('name description tags').lean().cursor();
+  for await (const product of cursor) {
+    for (const word of getProductWords(product)) {
+      counts.set(word, (counts.get(word) || 0) + 1);
+    }
+  }
+
+  const operations = [...counts].map(([word, productCount]) => ({
+    updateOne: {
+      filter: { word },
+      update: { $set: { length: word.length, productCount, rebuiltAt } },
+      upsert: true
+    }
+  }));
+
+  for (let i = 0; i < operations.length; i += REBUILD_BATCH_SIZE) {
+    await this.bulkWrite(operations.slice(i, i + REBUILD_BATCH_SIZE), { ordered: false });
+  }
+
+  const { deletedCount } = await this.deleteMany({
+    $or: [{ rebuiltAt: { $lt: rebuiltAt } }, { rebuiltAt: { $exists: false } }]
+  });
+
+  return { words: counts.size, removed: deletedCount };
+};
+
+// Words from a list that appear in the catalogue
+searchTermSchema.statics.findKnownWords = async function (words) {
+  const known = await this.find({ word: { $in: words } }).select('word').lean();
+  return new Set(known.map(term => term.word));
+};
+
+// Closest vocabulary word to a misspelled one. Only words with the same first
+// letter and a similar length are compared, which the { word, length } index serves.
+searchTermSchema.statics.findClosest = async function (term) {
+  if (term.length < 3) {
+    return null;
+  }
+
+  const maxDistance = term.length <= 5 ? 1 : 2;
+  const candidates = await this.find({
+    word: { $regex: `^${escapeRegex(term[0])}` },
+    length: { $gte: term.length - maxDistance, $lte: term.length + maxDistance }
+  })
+    .select('word')
+    .sort({ productCount: -1 })
+    .lean();
+
+  // More widely used words come first, so they win ties
+  return findClosestWord(term, candidates.map(candidate => candidate.word));
+};
+
+searchTermSchema.index({ word: 1, length: 1 });
+
+module.exports = mongoose.model('SearchTerm', searchTermSchema);
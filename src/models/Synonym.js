@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// A group of words that mean the same thing in product search, e.g. ["tee", "t-shirt"]
+const synonymSchema = new mongoose.Schema({
+  terms: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }]
+}, {
+  timestamps: true
+});
+
+synonymSchema.pre('validate', function (next) {
+  if (new Set(this.terms).size < 2) {
+    this.invalidate('terms', 'A synonym group needs at least two different terms');
+  }
+  next();
+});
+
+// All synonyms of the given terms (the terms themselves are not included)
+synonymSchema.statics.expandTerms = async function (terms) {
+  if (terms.length === 0) {
+    return [];
+  }
+
+  const groups = await this.find({ terms: { $in: terms } }).select('terms').lean();
+  const synonyms = new Set(groups.flatMap(group => group.terms));
+  terms.forEach(term => synonyms.delete(term));
+
+  return [...synonyms];
+};
+
+synonymSchema.index({ terms: 1 });
+
+module.exports = mongoose.model('Synonym', synonymSchema);
@@ -1,6 +1,116 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const { verifyToken } = require('../services/totpService');
+const Role = require('./Role');
+
+const REFRESH_TOKEN_EXPIRE_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+// Rotated refresh tokens remembered per session to detect reuse
+const MAX_PREVIOUS_REFRESH_TOKENS = 50;
+const MAX_LOGIN_ATTEMPTS = parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5;
+const LOCK_TIME_MINUTES = parseInt(process.env.LOCK_TIME_MINUTES) || 15;
+const MAGIC_LINK_EXPIRE_MINUTES = parseInt(process.env.MAGIC_LINK_EXPIRE_MINUTES) || 15;
+const TWO_FACTOR_REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES ?? 'admin')
+  .split(',')
+  .map(role => role.trim())
+  .filter(Boolean);
+
+const sessionSchema = new mongoose.Schema({
+  refreshToken: {
+    type: String,
+    required: true
+  },
+  // Hashes of refresh tokens this session has already rotated away from
+  previousRefreshTokens: {
+    type: [String],
+    default: []
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// External account (OAuth/OIDC) linked to this user
+const identitySchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  email: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const addressSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true,
+    default: 'Home',
+    maxlength: [50, 'Label cannot exceed 50 characters']
+  },
+  fullName: {
+    type: String,
+    required: [true, 'Full name is required'],
+    trim: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  address: {
+    type: String,
+    required: [true, 'Address is required'],
+    trim: true
+  },
+  city: {
+    type: String,
+    required: [true, 'City is required'],
+    trim: true
+  },
+  postalCode: {
+    type: String,
+    required: [true, 'Postal code is required'],
+    trim: true
+  },
+  country: {
+    type: String,
+    required: [true, 'Country is required'],
+    trim: true
+  },
+  isDefaultShipping: {
+    type: Boolean,
+    default: false
+  },
+  isDefaultBilling: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -24,13 +134,16 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    lowercase: true,
+    trim: true,
     default: 'user'
   },
   avatar: {
     type: String,
     default: null
   },
+  addresses: [addressSchema],
+  identities: [identitySchema],
   isActive: {
     type: Boolean,
     default: true
@@ -39,6 +152,10 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
   emailVerificationToken: {
     type: String,
     default: null
@@ -46,6 +163,70 @@ const userSchema = new mongoose.Schema({
   emailVerificationExpires: {
     type: Date,
     default: null
+  },
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    default: null,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  emailChangeToken: {
+    type: String,
+    default: null
+  },
+  emailChangeExpires: {
+    type: Date,
+    default: null
+  },
+  passwordResetToken: {
+    type: String,
+    default: null
+  },
+  passwordResetExpires: {
+    type: Date,
+    default: null
+  },
+  magicLinkToken: {
+    type: String,
+    default: null
+  },
+  magicLinkExpires: {
+    type: Date,
+    default: null
+  },
+  sessions: {
+    type: [sessionSchema],
+    select: false
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date,
+    default: null
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    default: null,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  twoFactorLastUsedStep: {
+    type: Number,
+    default: null,
+    select: false
   }
 }, {
   timestamps: true
@@ -79,16 +260,246 @@ userSchema.methods.generateEmailVerificationToken = function () {
   return token;
 };
 
+// Generate token confirming a change to pendingEmail
+userSchema.methods.generateEmailChangeToken = function () {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailChangeToken = crypto.createHash('sha256').update(token).digest('hex');
+  this.emailChangeExpires = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+  return token;
+};
+
+// Generate password reset token
+userSchema.methods.generatePasswordResetToken = function () {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = crypto.createHash('sha256').update(token).digest('hex');
+  this.passwordResetExpires = Date.now() + 60 * 60 * 1000; // 1 hour
+  return token;
+};
+
+// Generate one-time passwordless sign-in token
+userSchema.methods.generateMagicLinkToken = function () {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.magicLinkToken = crypto.createHash('sha256').update(token).digest('hex');
+  this.magicLinkExpires = Date.now() + MAGIC_LINK_EXPIRE_MINUTES * 60 * 1000;
+  return token;
+};
+
+// Link an external identity unless it is already linked
+userSchema.methods.linkIdentity = function (provider, { subject, email }) {
+  const existing = this.identities.find(identity => identity.provider === provider && identity.subject === subject);
+  if (existing) {
+    existing.email = email;
+    return existing;
+  }
+
+  this.identities.push({ provider, subject, email });
+  return this.identities[this.identities.length - 1];
+};
+
+// Start a new login session and return its (unhashed) refresh token
+userSchema.methods.createSession = function ({ userAgent = '', ip = '' } = {}) {
+  const token = crypto.randomBytes(40).toString('hex');
+
+  // Drop sessions whose refresh token has already expired
+  this.sessions = this.sessions.filter(session => session.expiresAt > Date.now());
+
+  const session = this.sessions.create({
+    refreshToken: crypto.createHash('sha256').update(token).digest('hex'),
+    expiresAt: Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000,
+    userAgent: userAgent.slice(0, 500),
+    ip
+  });
+  this.sessions.push(session);
+
+  return { sessionId: session._id, refreshToken: token };
+};
+
+// Replace a session's refresh token so each one can only be used once
+userSchema.methods.rotateSessionToken = function (session) {
+  const token = crypto.randomBytes(40).toString('hex');
+  session.previousRefreshTokens = [...session.previousRefreshTokens, session.refreshToken]
+    .slice(-MAX_PREVIOUS_REFRESH_TOKENS);
+  session.refreshToken = crypto.createHash('sha256').update(token).digest('hex');
+  session.expiresAt = Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000;
+  session.lastUsedAt = Date.now();
+  return token;
+};
+
+// Check if account is temporarily locked
+userSchema.methods.isLocked = function () {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+};
+
+// Remaining wait (ms) before another login attempt is allowed.
+// The delay doubles with every consecutive failure, capped at 30 seconds.
+userSchema.methods.getLoginDelay = function () {
+  if (!this.failedLoginAttempts || !this.lastFailedLoginAt) {
+    return 0;
+  }
+
+  const delay = Math.min(2 ** (this.failedLoginAttempts - 1), 30) * 1000;
+  return Math.max(0, this.lastFailedLoginAt.getTime() + delay - Date.now());
+};
+
+// Record a failed login attempt, locking the account once the limit is reached.
+// Updates are atomic so concurrent attempts cannot overwrite each other's count.
+// Resolves to the lock expiry when this attempt triggered the lockout, otherwise null.
+userSchema.methods.registerFailedLogin = async function () {
+  const User = this.constructor;
+
+  const updated = await User.findOneAndUpdate(
+    { _id: this._id },
+    {
+      $inc: { failedLoginAttempts: 1 },
+      $set: { lastFailedLoginAt: Date.now() }
+    },
+    { new: true, projection: 'failedLoginAttempts' }
+  );
+
+  if (!updated || updated.failedLoginAttempts < MAX_LOGIN_ATTEMPTS) {
+    return null;
+  }
+
+  // Only the attempt that resets the counter applies (and reports) the lock
+  const lockUntil = new Date(Date.now() + LOCK_TIME_MINUTES * 60 * 1000);
+  const locked = await User.findOneAndUpdate(
+    { _id: this._id, failedLoginAttempts: { $gte: MAX_LOGIN_ATTEMPTS } },
+    { $set: { lockUntil, failedLoginAttempts: 0 } },
+    { projection: '_id' }
+  );
+
+  return locked ? lockUntil : null;
+};
+
+// Clear failed attempts and any active lockout
+userSchema.methods.resetLoginAttempts = function () {
+  this.failedLoginAttempts = 0;
+  this.lastFailedLoginAt = null;
+  this.lockUntil = null;
+};
+
+// Get the permissions granted by the user's role
+userSchema.methods.getPermissions = async function () {
+  const permissions = await Role.getPermissions(this.role);
+
+  // Requests made with an API key are limited to the key's scopes
+  const scope = this.$locals.permissionScope;
+  return scope ? permissions.filter(permission => scope.includes(permission)) : permissions;
+};
+
+// Check if the user's role grants a permission
+userSchema.methods.hasPermission = async function (permission) {
+  const permissions = await this.getPermissions();
+  return permissions.includes(permission);
+};
+
+// Check if the user holds every permission of a role, which is required
+// to grant that role or to manage accounts that have it
+userSchema.methods.canManageRole = async function (roleName) {
+  const [permissions, rolePermissions] = await Promise.all([
+    this.getPermissions(),
+    Role.getPermissions(roleName)
+  ]);
+  return rolePermissions.every(permission => permissions.includes(permission));
+};
+
+// Check if the user's role must use two-factor authentication
+userSchema.methods.requiresTwoFactor = function () {
+  return TWO_FACTOR_REQUIRED_ROLES.includes(this.role);
+};
+
+// Generate single-use recovery codes (only hashes are stored)
+userSchema.methods.generateRecoveryCodes = function (count = 10) {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  this.twoFactorRecoveryCodes = codes.map(code => crypto.createHash('sha256').update(code).digest('hex'));
+  return codes;
+};
+
+// Check an authenticator code or a recovery code (recovery codes are consumed)
+userSchema.methods.verifyTwoFactorCode = function (code) {
+  if (!code) {
+    return false;
+  }
+
+  // Reject a TOTP code that has already been used
+  const step = verifyToken(this.twoFactorSecret, code);
+  if (step !== null && step > (this.twoFactorLastUsedStep || 0)) {
+    this.twoFactorLastUsedStep = step;
+    return true;
+  }
+
+  const hashedCode = crypto.createHash('sha256').update(String(code).trim().toLowerCase()).digest('hex');
+  const index = (this.twoFactorRecoveryCodes || []).indexOf(hashedCode);
+  if (index > -1) {
+    this.twoFactorRecoveryCodes.splice(index, 1);
+    return true;
+  }
+
+  return false;
+};
+
+// Make the given address the only default for shipping and/or billing
+userSchema.methods.setDefaultAddress = function (address, { shipping = false, billing = false } = {}) {
+  this.addresses.forEach(item => {
+    if (shipping) {
+      item.isDefaultShipping = item._id.equals(address._id);
+    }
+    if (billing) {
+      item.isDefaultBilling = item._id.equals(address._id);
+    }
+  });
+};
+
+// Strip personal data from a closed account (order history keeps the user reference)
+userSchema.methods.anonymize = function () {
+  this.name = 'Deleted User';
+  this.email = `deleted-${this._id}@deleted.invalid`;
+  this.password = crypto.randomBytes(32).toString('hex');
+  this.avatar = null;
+  this.addresses = [];
+  this.identities = [];
+  this.sessions = [];
+  this.isActive = false;
+  this.isEmailVerified = false;
+  this.pendingEmail = null;
+  this.emailVerificationToken = null;
+  this.emailVerificationExpires = null;
+  this.emailChangeToken = null;
+  this.emailChangeExpires = null;
+  this.passwordResetToken = null;
+  this.passwordResetExpires = null;
+  this.magicLinkToken = null;
+  this.magicLinkExpires = null;
+  this.twoFactorEnabled = false;
+  this.twoFactorSecret = null;
+  this.twoFactorRecoveryCodes = [];
+  this.deletedAt = Date.now();
+};
+
 // Database indexes for better performance
 userSchema.index({ email: 1 }); // Unique index is automatically created
 userSchema.index({ emailVerificationToken: 1 });
 userSchema.index({ emailVerificationExpires: 1 });
 userSchema.index({ isEmailVerified: 1 });
+userSchema.index({ emailChangeToken: 1 });
+userSchema.index({ passwordResetToken: 1 });
+userSchema.index({ magicLinkToken: 1 });
+userSchema.index({ 'sessions.refreshToken': 1 });
+userSchema.index({ 'sessions.previousRefreshTokens': 1 });
+userSchema.index({ 'identities.provider': 1, 'identities.subject': 1 });
 
 // Remove password from JSON output
 userSchema.methods.toJSON = function () {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.sessions;
+  delete userObject.twoFactorSecret;
+  delete userObject.twoFactorRecoveryCodes;
+  delete userObject.twoFactorLastUsedStep;
   return userObject;
 };
 
@@ -0,0 +1,80 @@
+const express = require('express');
+const {
+  getUsers,
+  getUser,
+  updateUserRole,
+  updateUserStatus,
+  resendUserVerification,
+  deleteUser
+} = require('../controllers/userController');
+const { createInvitation, getInvitations, revokeInvitation } = require('../controllers/invitationController');
+const { getRoles, createRole, updateRole, deleteRole } = require('../controllers/roleController');
+const { getApiKeys, createApiKey, revokeApiKey } = require('../controllers/apiKeyController');
+const { getModerationQueue, moderateReview, removeReview } = require('../controllers/reviewController');
+const { getSynonyms, createSynonym, updateSynonym, deleteSynonym } = require('../controllers/synonymController');
+const { importProducts, exportProducts } = require('../controllers/catalogController');
+const { protect, requireSession, requirePermission } = require('../middleware/auth');
+const {
+  validate,
+  updateUserRoleValidation,
+  updateUserStatusValidation,
+  invitationValidation,
+  roleValidation,
+  updateRoleValidation,
+  apiKeyValidation,
+  moderateReviewValidation,
+  synonymValidation
+} = require('../middleware/validation');
+const { uploadCsvFile, handleUploadError } = require('../middleware/upload');
+
+const router = express.Router();
+
+// All routes are protected; each one requires its own permission
+router.use(protect);
+
+// User management
+router.get('/users', requirePermission('users:read'), getUsers);
+router.get('/users/:id', requirePermission('users:read'), getUser);
+router.put('/users/:id/role', requirePermission('users:write'), validate(updateUserRoleValidation), updateUserRole);
+router.put('/users/:id/status', requirePermission('users:write'), validate(updateUserStatusValidation), updateUserStatus);
+router.post('/users/:id/resend-verification', requirePermission('users:write'), resendUserVerification);
+router.delete('/users/:id', requirePermission('users:write'), deleteUser);
+
+// Invitations
+router.get('/invitations', requirePermission('users:read'), getInvitations);
+router.post('/invitations', requirePermission('users:write'), validate(invitationValidation), createInvitation);
+router.delete('/invitations/:id', requirePermission('users:write'), revokeInvitation);
+
+// Roles and permissions (managed by signed-in users only, never by an API key)
+router.get('/roles', requireSession, requirePermission('roles:manage'), getRoles);
+router.post('/roles', requireSession, requirePermission('roles:manage'), validate(roleValidation), createRole);
+router.put('/roles/:name', requireSession, requirePermission('roles:manage'), validate(updateRoleValidation), updateRole);
+router.delete('/roles/:name', requireSession, requirePermission('roles:manage'), deleteRole);
+
+// API keys (managed by signed-in admins only, never by another key)
+router.get('/api-keys', requireSession, requirePermission('apikeys:manage'), getApiKeys);
+router.post('/api-keys', requireSession, requirePermission('apikeys:manage'), validate(apiKeyValidation), createApiKey);
+router.delete('/api-keys/:id', requireSession, requirePermission('apikeys:manage'), revokeApiKey);
+
+// Review moderation
+router.get('/reviews', requirePermission('reviews:moderate'), getModerationQueue);
+router.put('/reviews/:id', requirePermission('reviews:moderate'), validate(moderateReviewValidation), moderateReview);
+router.delete('/reviews/:id', requirePermission('reviews:moderate'), removeReview);
+
+// Search synonyms
+router.get('/synonyms', requirePermission('products:write'), getSynonyms);
+router.post('/synonyms', requirePermission('products:write'), validate(synonymValidation), createSynonym);
+router.put('/synonyms/:id', requirePermission('products:write'), validate(synonymValidation), updateSynonym);
+router.delete('/synonyms/:id', requirePermission('products:write'), deleteSynonym);
+
+// Catalog import and export (CSV as a multipart "file" field or a raw text/csv body)
+router.get('/products/export', requirePermission('products:write'), exportProducts);
+router.post('/products/import',
+  requirePermission('products:write'),
+  uploadCsvFile,
+  handleUploadError,
+  express.text({ type: 'text/csv', limit: '10mb' }),
+  importProducts
+);
+
+module.exports = router;
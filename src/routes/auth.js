@@ -4,15 +4,59 @@ const {
   verify,
   resend,
   login,
+  requestMagicLink,
+  verifyMagicLink,
+  getOAuthProviders,
+  startOAuthLogin,
+  oauthCallback,
+  loginTwoFactor,
+  refresh,
   getMe,
   getProfile,
   getAllUser,
+  unlockUser,
   updateProfile,
+  exportMyData,
+  deleteMyAccount,
+  updateAvatar,
+  deleteAvatar,
   changePassword,
-  logout
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  setupTwoFactor,
+  verifyTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
 } = require('../controllers/authController');
-const { protect } = require('../middleware/auth');
-const { validate, registerValidation, loginValidation } = require('../middleware/validation');
+const { getInvitationByToken, acceptInvitation } = require('../controllers/invitationController');
+const {
+  getAddresses,
+  addAddress,
+  updateAddress,
+  deleteAddress
+} = require('../controllers/addressController');
+const { getSessions, revokeSession } = require('../controllers/sessionController');
+const { protect, requireSession, requirePermission } = require('../middleware/auth');
+const { uploadSingleImage, handleUploadError } = require('../middleware/upload');
+const {
+  validate,
+  registerValidation,
+  loginValidation,
+  forgotPasswordValidation,
+  magicLinkValidation,
+  verifyMagicLinkValidation,
+  resetPasswordValidation,
+  refreshTokenValidation,
+  twoFactorCodeValidation,
+  twoFactorLoginValidation,
+  disableTwoFactorValidation,
+  deleteAccountValidation,
+  acceptInvitationValidation,
+  addressValidation,
+  updateAddressValidation
+} = require('../middleware/validation');
 
 const router = express.Router();
 
@@ -21,14 +65,49 @@ router.post('/register', validate(registerValidation), register);
 router.get('/verify', verify);
 router.post('/resend', resend);
 router.post('/login', validate(loginValidation), login);
+router.post('/magic-link', validate(magicLinkValidation), requestMagicLink);
+router.post('/magic-link/verify', validate(verifyMagicLinkValidation), verifyMagicLink);
+router.get('/oauth/providers', getOAuthProviders);
+router.get('/oauth/:provider', startOAuthLogin);
+router.get('/oauth/:provider/callback', oauthCallback);
+router.post('/oauth/:provider/callback', oauthCallback);
+router.post('/2fa/login', validate(twoFactorLoginValidation), loginTwoFactor);
+router.post('/refresh', validate(refreshTokenValidation), refresh);
+router.post('/forgot-password', validate(forgotPasswordValidation), forgotPassword);
+router.post('/reset-password', validate(resetPasswordValidation), resetPassword);
+router.get('/invitation', getInvitationByToken);
+router.post('/accept-invite', validate(acceptInvitationValidation), acceptInvitation);
 
 // Protected routes
-router.use(protect); // All routes below are protected
+router.use(protect, requireSession); // All routes below require a signed-in user
 
+router.get('/me', getMe);
+router.get('/me/export', exportMyData);
+router.delete('/me', validate(deleteAccountValidation), deleteMyAccount);
 router.get('/profile', getProfile);
-router.get('/users', getAllUser);
+router.get('/users', requirePermission('users:read'), getAllUser);
+router.put('/users/:id/unlock', requirePermission('users:write'), unlockUser);
 router.put('/profile', updateProfile);
+router.put('/profile/avatar', uploadSingleImage, handleUploadError, updateAvatar);
+router.delete('/profile/avatar', deleteAvatar);
 router.put('/change-password', changePassword);
 router.post('/logout', logout);
+router.post('/logout-all', logoutAll);
+
+// Active sessions (devices)
+router.get('/sessions', getSessions);
+router.delete('/sessions/:sessionId', revokeSession);
+
+// Address book
+router.get('/addresses', getAddresses);
+router.post('/addresses', validate(addressValidation), addAddress);
+router.put('/addresses/:addressId', validate(updateAddressValidation), updateAddress);
+router.delete('/addresses/:addressId', deleteAddress);
+
+// Two-factor authentication
+router.post('/2fa/setup', setupTwoFactor);
+router.post('/2fa/verify', validate(twoFactorCodeValidation), verifyTwoFactor);
+router.post('/2fa/disable', validate(disableTwoFactorValidation), disableTwoFactor);
+router.post('/2fa/recovery-codes', validate(twoFactorCodeValidation), regenerateRecoveryCodes);
 
 module.exports = router;
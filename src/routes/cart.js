@@ -5,15 +5,19 @@ const {
   updateCartItem,
   removeFromCart,
   clearCart,
-  getCartCount
+  getCartCount,
+  mergeGuestCart
 } = require('../controllers/cartController');
-const { protect } = require('../middleware/auth');
+const { protect, requireSession, protectOrGuest } = require('../middleware/auth');
 const { validate, addToCartValidation, updateCartValidation } = require('../middleware/validation');
 
 const router = express.Router();
 
-// All routes are protected
-router.use(protect);
+// Merging needs a signed-in user plus the guest's token
+router.post('/merge', protect, requireSession, mergeGuestCart);
+
+// Signed-in users or guests (X-Guest-Token)
+router.use(protectOrGuest);
 
 router.get('/', getCart);
 router.get('/count', getCartCount);
@@ -1,13 +1,15 @@
 const express = require('express');
 const {
   getCategories,
+  getCategoryTree,
   getCategory,
+  getCategoryBySlug,
   createCategory,
   updateCategory,
   deleteCategory,
   getCategoryProducts
 } = require('../controllers/categoryController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 const { validate, categoryValidation, updateCategoryValidation } = require('../middleware/validation');
 const { uploadSingleImage, uploadSingleImageFlexible, handleUploadError } = require('../middleware/upload');
 
@@ -15,12 +17,14 @@ const router = express.Router();
 
 // Public routes
 router.get('/', getCategories);
+router.get('/tree', getCategoryTree);
+router.get('/slug/:slug', getCategoryBySlug);
 router.get('/:id', getCategory);
 router.get('/:id/products', getCategoryProducts);
 
-// Admin routes
+// Catalog management routes
 router.use(protect);
-router.use(authorize('admin'));
+router.use(requirePermission('categories:write'));
 
 router.post('/', uploadSingleImageFlexible, handleUploadError, validate(categoryValidation), createCategory);
 router.put('/:id', uploadSingleImageFlexible, handleUploadError, validate(updateCategoryValidation), updateCategory);
@@ -1,6 +1,8 @@
 const express = require('express');
 const {
   createOrder,
+  lookupOrder,
+  claimGuestOrders,
   getUserOrders,
   getOrder,
   updateOrderToPaid,
@@ -8,25 +10,27 @@ const {
   getAllOrders,
   updateOrderStatus
 } = require('../controllers/orderController');
-const { protect, authorize } = require('../middleware/auth');
-const { validate, createOrderValidation } = require('../middleware/validation');
+const { protect, requireSession, protectOrGuest, requirePermission } = require('../middleware/auth');
+const { validate, createOrderValidation, orderLookupValidation } = require('../middleware/validation');
 
 const router = express.Router();
 
-// All routes are protected
+// Guest checkout (signed-in users are recognised too)
+router.post('/', protectOrGuest, validate(createOrderValidation), createOrder);
+router.post('/lookup', validate(orderLookupValidation), lookupOrder);
+router.put('/:id/pay', protectOrGuest, updateOrderToPaid);
+
+// All routes below are protected
 router.use(protect);
 
 // User routes
-router.post('/', validate(createOrderValidation), createOrder);
-router.get('/my-orders', getUserOrders);
+router.get('/my-orders', requireSession, getUserOrders);
+router.post('/claim', requireSession, claimGuestOrders);
 router.get('/:id', getOrder);
-router.put('/:id/pay', updateOrderToPaid);
-
-// Admin routes
-router.use(authorize('admin'));
 
-router.get('/admin/all', getAllOrders);
-router.put('/:id/deliver', updateOrderToDelivered);
-router.put('/:id/status', updateOrderStatus);
+// Staff routes
+router.get('/admin/all', requirePermission('orders:read'), getAllOrders);
+router.put('/:id/deliver', requirePermission('orders:update'), updateOrderToDelivered);
+router.put('/:id/status', requirePermission('orders:update'), updateOrderStatus);
 
 module.exports = router;
@@ -2,14 +2,35 @@ const express = require('express');
 const {
   getProducts,
   getProduct,
+  getProductBySlug,
   createProduct,
   updateProduct,
   deleteProduct,
   getFeaturedProducts,
   getRelatedProducts
 } = require('../controllers/productController');
-const { protect, authorize } = require('../middleware/auth');
-const { validate, productValidation } = require('../middleware/validation');
+const {
+  getVariants,
+  updateOptions,
+  createVariant,
+  updateVariant,
+  deleteVariant
+} = require('../controllers/variantController');
+const { getSuggestions } = require('../controllers/searchController');
+const {
+  getProductReviews,
+  createReview,
+  updateReview,
+  deleteReview
+} = require('../controllers/reviewController');
+const { protect, requireSession, requirePermission } = require('../middleware/auth');
+const {
+  validate,
+  productValidation,
+  productOptionsValidation,
+  reviewValidation,
+  updateReviewValidation
+} = require('../middleware/validation');
 const { uploadProductImages, handleUploadError } = require('../middleware/upload');
 
 const router = express.Router();
@@ -17,12 +38,21 @@ const router = express.Router();
 // Public routes
 router.get('/', getProducts);
 router.get('/featured', getFeaturedProducts);
+router.get('/suggest', getSuggestions);
+router.get('/slug/:slug', getProductBySlug);
 router.get('/:id', getProduct);
 router.get('/:id/related', getRelatedProducts);
+router.get('/:id/variants', getVariants);
+router.get('/:id/reviews', getProductReviews);
 
-// Admin routes
+// Customer reviews
+router.post('/:id/reviews', protect, requireSession, validate(reviewValidation), createReview);
+router.put('/:id/reviews/:reviewId', protect, requireSession, validate(updateReviewValidation), updateReview);
+router.delete('/:id/reviews/:reviewId', protect, requireSession, deleteReview);
+
+// Catalog management routes
 router.use(protect);
-router.use(authorize('admin'));
+router.use(requirePermission('products:write'));
 
 router.post('/', 
   uploadProductImages,
@@ -38,4 +68,10 @@ router.put('/:id',
 
 router.delete('/:id', deleteProduct);
 
+// Variants
+router.put('/:id/options', validate(productOptionsValidation), updateOptions);
+router.post('/:id/variants', uploadProductImages, handleUploadError, createVariant);
+router.put('/:id/variants/:variantId', uploadProductImages, handleUploadError, updateVariant);
+router.delete('/:id/variants/:variantId', deleteVariant);
+
 module.exports = router;
@@ -7,12 +7,12 @@ const {
   checkWishlistStatus,
   getWishlistCount
 } = require('../controllers/wishlistController');
-const { protect } = require('../middleware/auth');
+const { protect, requireSession } = require('../middleware/auth');
 
 const router = express.Router();
 
-// All routes are protected
-router.use(protect);
+// All routes require a signed-in user
+router.use(protect, requireSession);
 
 router.get('/', getWishlist);
 router.get('/count', getWishlistCount);
@@ -1,6 +1,6 @@
 // Modern email templates for the application
 
-const getEmailVerificationTemplate = (userName, verificationUrl, isResend = false) => {
+const getEmailVerificationTemplate = (userName, verificationUrl, isResend = false, isEmailChange = false) => {
     return `
 <!DOCTYPE html>
 <html lang="en">
@@ -193,10 +193,12 @@ const getEmailVerificationTemplate = (userName, verificationUrl, isResend = fals
         
         <!-- Main Content -->
         <div class="content">
-            <h1 class="greeting">Welcome, ${userName}! 👋</h1>
+            <h1 class="greeting">${isEmailChange ? `Hi ${userName}! 👋` : `Welcome, ${userName}! 👋`}</h1>
             
             <p class="message">
-                ${isResend ?
+                ${isEmailChange ?
+            'You asked to use this address for your PICH STORE account. Please confirm it to finish the change - until then, your current email address stays active.' :
+            isResend ?
             'We noticed you requested a new verification email. Please verify your email address to complete your account setup and start enjoying our premium services.' :
             'Thank you for joining MVP Ecommerce! To complete your registration and start shopping with us, please verify your email address.'
         }
@@ -204,14 +206,14 @@ const getEmailVerificationTemplate = (userName, verificationUrl, isResend = fals
             
             <div class="button-container">
                 <a href="${verificationUrl}" class="verify-button">
-                    ${isResend ? 'Verify Email Address' : 'Verify My Account'}
+                    ${isEmailChange ? 'Confirm New Email' : isResend ? 'Verify Email Address' : 'Verify My Account'}
                 </a>
             </div>
             
             <div class="security-notice">
                 <div class="security-title">Security Notice</div>
                 <div class="security-text">
-                    This verification link will expire in 24 hours for your security. If you didn't create an account with us, please ignore this email. Never share this link with anyone.
+                    This verification link will expire in 24 hours for your security. ${isEmailChange ? "If you didn't request this change" : "If you didn't create an account with us"}, please ignore this email. Never share this link with anyone.
                 </div>
             </div>
             
@@ -241,6 +243,177 @@ const getEmailVerificationTemplate = (userName, verificationUrl, isResend = fals
   `;
 };
 
+const getMagicLinkTemplate = (userName, signInUrl, expiresMinutes) => {
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Your Sign-In Link</title>
+    <style>
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+        
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+            line-height: 1.6;
+            color: #333;
+            background-color: #f8fafc;
+        }
+        
+        .container {
+            max-width: 600px;
+            margin: 0 auto;
+            background-color: #ffffff;
+            border-radius: 12px;
+            overflow: hidden;
+            box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06);
+        }
+        
+        .header {
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            padding: 40px 30px;
+            text-align: center;
+            color: white;
+        }
+        
+        .logo {
+            font-size: 28px;
+            font-weight: 700;
+            margin-bottom: 10px;
+            letter-spacing: -0.5px;
+        }
+        
+        .tagline {
+            font-size: 16px;
+            opacity: 0.9;
+            font-weight: 300;
+        }
+        
+        .content {
+            padding: 40px 30px;
+        }
+        
+        .greeting {
+            font-size: 24px;
+            font-weight: 600;
+            color: #1f2937;
+            margin-bottom: 20px;
+        }
+        
+        .message {
+            font-size: 16px;
+            color: #6b7280;
+            margin-bottom: 30px;
+            line-height: 1.7;
+        }
+        
+        .button-container {
+            text-align: center;
+            margin: 40px 0;
+        }
+        
+        .signin-button {
+            display: inline-block;
+            padding: 16px 32px;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            text-decoration: none;
+            border-radius: 8px;
+            font-weight: 600;
+            font-size: 16px;
+            box-shadow: 0 4px 14px 0 rgba(102, 126, 234, 0.4);
+        }
+        
+        .security-notice {
+            background-color: #fef3c7;
+            border: 1px solid #f59e0b;
+            border-radius: 8px;
+            padding: 20px;
+            margin: 30px 0;
+        }
+        
+        .security-title {
+            font-weight: 600;
+            color: #92400e;
+            margin-bottom: 10px;
+        }
+        
+        .security-text {
+            font-size: 14px;
+            color: #92400e;
+            line-height: 1.5;
+        }
+        
+        .footer {
+            padding: 30px;
+            background-color: #f9fafb;
+            text-align: center;
+            border-top: 1px solid #e5e7eb;
+        }
+        
+        .copyright {
+            font-size: 12px;
+            color: #9ca3af;
+        }
+        
+        @media (max-width: 600px) {
+            .container {
+                margin: 10px;
+                border-radius: 8px;
+            }
+            
+            .header, .content {
+                padding: 30px 20px;
+            }
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <!-- Header -->
+        <div class="header">
+            <div class="logo">PICH STORE</div>
+            <div class="tagline">Sign In Without a Password</div>
+        </div>
+        
+        <!-- Main Content -->
+        <div class="content">
+            <h1 class="greeting">Hi ${userName},</h1>
+            
+            <p class="message">
+                Click the button below to sign in to your account. No password needed.
+            </p>
+            
+            <div class="button-container">
+                <a href="${signInUrl}" class="signin-button">Sign In to PICH STORE</a>
+            </div>
+            
+            <div class="security-notice">
+                <div class="security-title">🔒 Security Notice</div>
+                <div class="security-text">
+                    This link will expire in ${expiresMinutes} minutes and can only be used once. Anyone with this link can sign in as you, so don't forward it. If you didn't request it, you can safely ignore this email.
+                </div>
+            </div>
+        </div>
+        
+        <!-- Footer -->
+        <div class="footer">
+            <div style="font-weight: 600; color: #374151; margin-bottom: 10px;">PICH STORE</div>
+            <div class="copyright">
+                © ${new Date().getFullYear()} PICH STORE. All rights reserved.
+            </div>
+        </div>
+    </div>
+</body>
+</html>
+  `;
+};
+
 const getWelcomeTemplate = (userName) => {
     return `
 <!DOCTYPE html>
@@ -423,7 +596,672 @@ const getWelcomeTemplate = (userName) => {
   `;
 };
 
+const getPasswordResetTemplate = (userName, resetUrl) => {
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Reset Your Password</title>
+    <style>
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+        
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+            line-height: 1.6;
+            color: #333;
+            background-color: #f8fafc;
+        }
+        
+        .container {
+            max-width: 600px;
+            margin: 0 auto;
+            background-color: #ffffff;
+            border-radius: 12px;
+            overflow: hidden;
+            box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06);
+        }
+        
+        .header {
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            padding: 40px 30px;
+            text-align: center;
+            color: white;
+        }
+        
+        .logo {
+            font-size: 28px;
+            font-weight: 700;
+            margin-bottom: 10px;
+            letter-spacing: -0.5px;
+        }
+        
+        .tagline {
+            font-size: 16px;
+            opacity: 0.9;
+            font-weight: 300;
+        }
+        
+        .content {
+            padding: 40px 30px;
+        }
+        
+        .greeting {
+            font-size: 24px;
+            font-weight: 600;
+            color: #1f2937;
+            margin-bottom: 20px;
+        }
+        
+        .message {
+            font-size: 16px;
+            color: #6b7280;
+            margin-bottom: 30px;
+            line-height: 1.7;
+        }
+        
+        .button-container {
+            text-align: center;
+            margin: 40px 0;
+        }
+        
+        .reset-button {
+            display: inline-block;
+            padding: 16px 32px;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            text-decoration: none;
+            border-radius: 8px;
+            font-weight: 600;
+            font-size: 16px;
+            box-shadow: 0 4px 14px 0 rgba(102, 126, 234, 0.4);
+        }
+        
+        .security-notice {
+            background-color: #fef3c7;
+            border: 1px solid #f59e0b;
+            border-radius: 8px;
+            padding: 20px;
+            margin: 30px 0;
+        }
+        
+        .security-title {
+            font-weight: 600;
+            color: #92400e;
+            margin-bottom: 10px;
+        }
+        
+        .security-text {
+            font-size: 14px;
+            color: #92400e;
+            line-height: 1.5;
+        }
+        
+        .footer {
+            padding: 30px;
+            background-color: #f9fafb;
+            text-align: center;
+            border-top: 1px solid #e5e7eb;
+        }
+        
+        .copyright {
+            font-size: 12px;
+            color: #9ca3af;
+        }
+        
+        @media (max-width: 600px) {
+            .container {
+                margin: 10px;
+                border-radius: 8px;
+            }
+            
+            .header, .content {
+                padding: 30px 20px;
+            }
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <!-- Header -->
+        <div class="header">
+            <div class="logo">PICH STORE</div>
+            <div class="tagline">Password Reset Request</div>
+        </div>
+        
+        <!-- Main Content -->
+        <div class="content">
+            <h1 class="greeting">Hi ${userName},</h1>
+            
+            <p class="message">
+                We received a request to reset the password for your account. Click the button below to choose a new password.
+            </p>
+            
+            <div class="button-container">
+                <a href="${resetUrl}" class="reset-button">Reset My Password</a>
+            </div>
+            
+            <div class="security-notice">
+                <div class="security-title">🔒 Security Notice</div>
+                <div class="security-text">
+                    This link will expire in 1 hour and can only be used once. If you didn't request a password reset, you can safely ignore this email - your password will not change.
+                </div>
+            </div>
+        </div>
+        
+        <!-- Footer -->
+        <div class="footer">
+            <div style="font-weight: 600; color: #374151; margin-bottom: 10px;">PICH STORE</div>
+            <div class="copyright">
+                © ${new Date().getFullYear()} PICH STORE. All rights reserved.
+            </div>
+        </div>
+    </div>
+</body>
+</html>
+  `;
+};
+
+const getAccountLockedTemplate = (userName, lockMinutes) => {
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Account Temporarily Locked</title>
+    <style>
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+        
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+            line-height: 1.6;
+            color: #333;
+            background-color: #f8fafc;
+        }
+        
+        .container {
+            max-width: 600px;
+            margin: 0 auto;
+            background-color: #ffffff;
+            border-radius: 12px;
+            overflow: hidden;
+            box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06);
+        }
+        
+        .header {
+            background: linear-gradient(135deg, #ef4444 0%, #b91c1c 100%);
+            padding: 40px 30px;
+            text-align: center;
+            color: white;
+        }
+        
+        .logo {
+            font-size: 28px;
+            font-weight: 700;
+            margin-bottom: 10px;
+            letter-spacing: -0.5px;
+        }
+        
+        .tagline {
+            font-size: 16px;
+            opacity: 0.9;
+            font-weight: 300;
+        }
+        
+        .content {
+            padding: 40px 30px;
+        }
+        
+        .greeting {
+            font-size: 24px;
+            font-weight: 600;
+            color: #1f2937;
+            margin-bottom: 20px;
+        }
+        
+        .message {
+            font-size: 16px;
+            color: #6b7280;
+            margin-bottom: 20px;
+            line-height: 1.7;
+        }
+        
+        .security-notice {
+            background-color: #fef3c7;
+            border: 1px solid #f59e0b;
+            border-radius: 8px;
+            padding: 20px;
+            margin: 30px 0;
+        }
+        
+        .security-title {
+            font-weight: 600;
+            color: #92400e;
+            margin-bottom: 10px;
+        }
+        
+        .security-text {
+            font-size: 14px;
+            color: #92400e;
+            line-height: 1.5;
+        }
+        
+        .footer {
+            padding: 30px;
+            background-color: #f9fafb;
+            text-align: center;
+            border-top: 1px solid #e5e7eb;
+        }
+        
+        .copyright {
+            font-size: 12px;
+            color: #9ca3af;
+        }
+        
+        @media (max-width: 600px) {
+            .container {
+                margin: 10px;
+                border-radius: 8px;
+            }
+            
+            .header, .content {
+                padding: 30px 20px;
+            }
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <!-- Header -->
+        <div class="header">
+            <div class="logo">PICH STORE</div>
+            <div class="tagline">Account Security Alert</div>
+        </div>
+        
+        <!-- Main Content -->
+        <div class="content">
+            <h1 class="greeting">Hi ${userName},</h1>
+            
+            <p class="message">
+                We detected several failed sign-in attempts on your account, so we have temporarily locked it to keep it safe.
+            </p>
+            
+            <p class="message">
+                You will be able to sign in again in <strong>${lockMinutes} minutes</strong>. If you forgot your password, you can reset it at any time to unlock your account straight away.
+            </p>
+            
+            <div class="security-notice">
+                <div class="security-title">🔒 Wasn't you?</div>
+                <div class="security-text">
+                    If you did not try to sign in, someone may be trying to guess your password. We recommend resetting your password and never reusing it on other websites.
+                </div>
+            </div>
+        </div>
+        
+        <!-- Footer -->
+        <div class="footer">
+            <div style="font-weight: 600; color: #374151; margin-bottom: 10px;">PICH STORE</div>
+            <div class="copyright">
+                © ${new Date().getFullYear()} PICH STORE. All rights reserved.
+            </div>
+        </div>
+    </div>
+</body>
+</html>
+  `;
+};
+
+const getInvitationTemplate = (inviterName, role, inviteUrl) => {
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>You're Invited to PICH STORE</title>
+    <style>
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+        
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+            line-height: 1.6;
+            color: #333;
+            background-color: #f8fafc;
+        }
+        
+        .container {
+            max-width: 600px;
+            margin: 0 auto;
+            background-color: #ffffff;
+            border-radius: 12px;
+            overflow: hidden;
+            box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06);
+        }
+        
+        .header {
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            padding: 40px 30px;
+            text-align: center;
+            color: white;
+        }
+        
+        .logo {
+            font-size: 28px;
+            font-weight: 700;
+            margin-bottom: 10px;
+            letter-spacing: -0.5px;
+        }
+        
+        .tagline {
+            font-size: 16px;
+            opacity: 0.9;
+            font-weight: 300;
+        }
+        
+        .content {
+            padding: 40px 30px;
+        }
+        
+        .greeting {
+            font-size: 24px;
+            font-weight: 600;
+            color: #1f2937;
+            margin-bottom: 20px;
+        }
+        
+        .message {
+            font-size: 16px;
+            color: #6b7280;
+            margin-bottom: 30px;
+            line-height: 1.7;
+        }
+        
+        .role-badge {
+            display: inline-block;
+            padding: 2px 10px;
+            border-radius: 9999px;
+            background-color: #ede9fe;
+            color: #5b21b6;
+            font-weight: 600;
+            text-transform: capitalize;
+        }
+        
+        .button-container {
+            text-align: center;
+            margin: 40px 0;
+        }
+        
+        .invite-button {
+            display: inline-block;
+            padding: 16px 32px;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            text-decoration: none;
+            border-radius: 8px;
+            font-weight: 600;
+            font-size: 16px;
+            box-shadow: 0 4px 14px 0 rgba(102, 126, 234, 0.4);
+        }
+        
+        .security-notice {
+            background-color: #fef3c7;
+            border: 1px solid #f59e0b;
+            border-radius: 8px;
+            padding: 20px;
+            margin: 30px 0;
+        }
+        
+        .security-title {
+            font-weight: 600;
+            color: #92400e;
+            margin-bottom: 10px;
+        }
+        
+        .security-text {
+            font-size: 14px;
+            color: #92400e;
+            line-height: 1.5;
+        }
+        
+        .footer {
+            padding: 30px;
+            background-color: #f9fafb;
+            text-align: center;
+            border-top: 1px solid #e5e7eb;
+        }
+        
+        .copyright {
+            font-size: 12px;
+            color: #9ca3af;
+        }
+        
+        @media (max-width: 600px) {
+            .container {
+                margin: 10px;
+                border-radius: 8px;
+            }
+            
+            .header, .content {
+                padding: 30px 20px;
+            }
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <!-- Header -->
+        <div class="header">
+            <div class="logo">PICH STORE</div>
+            <div class="tagline">You've been invited!</div>
+        </div>
+        
+        <!-- Main Content -->
+        <div class="content">
+            <h1 class="greeting">Hello! 👋</h1>
+            
+            <p class="message">
+                <strong>${inviterName}</strong> has invited you to join PICH STORE as <span class="role-badge">${role}</span>. Click the button below to set your password and activate your account.
+            </p>
+            
+            <div class="button-container">
+                <a href="${inviteUrl}" class="invite-button">Accept Invitation</a>
+            </div>
+            
+            <div class="security-notice">
+                <div class="security-title">🔒 Security Notice</div>
+                <div class="security-text">
+                    This invitation link will expire in 7 days and can only be used once. If you weren't expecting this invitation, you can safely ignore this email.
+                </div>
+            </div>
+        </div>
+        
+        <!-- Footer -->
+        <div class="footer">
+            <div style="font-weight: 600; color: #374151; margin-bottom: 10px;">PICH STORE</div>
+            <div class="copyright">
+                © ${new Date().getFullYear()} PICH STORE. All rights reserved.
+            </div>
+        </div>
+    </div>
+</body>
+</html>
+  `;
+};
+
+const getEmailChangeNoticeTemplate = (userName, newEmail) => {
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Email Change Requested</title>
+    <style>
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+        
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+            line-height: 1.6;
+            color: #333;
+            background-color: #f8fafc;
+        }
+        
+        .container {
+            max-width: 600px;
+            margin: 0 auto;
+            background-color: #ffffff;
+            border-radius: 12px;
+            overflow: hidden;
+            box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06);
+        }
+        
+        .header {
+            background: linear-gradient(135deg, #f59e0b 0%, #d97706 100%);
+            padding: 40px 30px;
+            text-align: center;
+            color: white;
+        }
+        
+        .logo {
+            font-size: 28px;
+            font-weight: 700;
+            margin-bottom: 10px;
+            letter-spacing: -0.5px;
+        }
+        
+        .tagline {
+            font-size: 16px;
+            opacity: 0.9;
+            font-weight: 300;
+        }
+        
+        .content {
+            padding: 40px 30px;
+        }
+        
+        .greeting {
+            font-size: 24px;
+            font-weight: 600;
+            color: #1f2937;
+            margin-bottom: 20px;
+        }
+        
+        .message {
+            font-size: 16px;
+            color: #6b7280;
+            margin-bottom: 20px;
+            line-height: 1.7;
+        }
+        
+        .security-notice {
+            background-color: #fef3c7;
+            border: 1px solid #f59e0b;
+            border-radius: 8px;
+            padding: 20px;
+            margin: 30px 0;
+        }
+        
+        .security-title {
+            font-weight: 600;
+            color: #92400e;
+            margin-bottom: 10px;
+        }
+        
+        .security-text {
+            font-size: 14px;
+            color: #92400e;
+            line-height: 1.5;
+        }
+        
+        .footer {
+            padding: 30px;
+            background-color: #f9fafb;
+            text-align: center;
+            border-top: 1px solid #e5e7eb;
+        }
+        
+        .copyright {
+            font-size: 12px;
+            color: #9ca3af;
+        }
+        
+        @media (max-width: 600px) {
+            .container {
+                margin: 10px;
+                border-radius: 8px;
+            }
+            
+            .header, .content {
+                padding: 30px 20px;
+            }
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <!-- Header -->
+        <div class="header">
+            <div class="logo">PICH STORE</div>
+            <div class="tagline">Account Security Alert</div>
+        </div>
+        
+        <!-- Main Content -->
+        <div class="content">
+            <h1 class="greeting">Hi ${userName},</h1>
+            
+            <p class="message">
+                A request was made to change the email address on your account to <strong>${newEmail}</strong>.
+            </p>
+            
+            <p class="message">
+                Nothing changes until the new address is confirmed from the link we sent there. Until then, this address remains the one linked to your account.
+            </p>
+            
+            <div class="security-notice">
+                <div class="security-title">🔒 Wasn't you?</div>
+                <div class="security-text">
+                    If you did not request this change, someone may have access to your account. Please reset your password right away - this also signs out every active session.
+                </div>
+            </div>
+        </div>
+        
+        <!-- Footer -->
+        <div class="footer">
+            <div style="font-weight: 600; color: #374151; margin-bottom: 10px;">PICH STORE</div>
+            <div class="copyright">
+                © ${new Date().getFullYear()} PICH STORE. All rights reserved.
+            </div>
+        </div>
+    </div>
+</body>
+</html>
+  `;
+};
+
 module.exports = {
     getEmailVerificationTemplate,
-    getWelcomeTemplate
+    getMagicLinkTemplate,
+    getWelcomeTemplate,
+    getPasswordResetTemplate,
+    getAccountLockedTemplate,
+    getInvitationTemplate,
+    getEmailChangeNoticeTemplate
 };
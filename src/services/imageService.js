@@ -0,0 +1,89 @@
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const sharp = require("sharp");
+
+// Uploaded images are re-encoded as WebP renditions. Only the "large" file name is stored;
+// the other renditions sit next to it: photo-large.webp, photo-medium.webp, photo-thumbnail.webp.
+
+const UPLOADS_DIR = path.join(__dirname, "..", "uploads");
+
+// Longest side in pixels; smaller images are never enlarged
+const RENDITIONS = {
+  thumbnail: 200,
+  medium: 600,
+  large: 1200,
+};
+
+const STORED_RENDITION = "large";
+const RENDITION_SUFFIX_PATTERN = new RegExp(`-${STORED_RENDITION}\\.webp$`);
+const WEBP_QUALITY = 80;
+
+// Identify an image by its leading bytes instead of trusting the client's Content-Type
+function detectImageType(buffer) {
+  if (!buffer || buffer.length < 12) {
+    return null;
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return "jpeg";
+  }
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return "png";
+  }
+  if (buffer.toString("ascii", 0, 6) === "GIF87a" || buffer.toString("ascii", 0, 6) === "GIF89a") {
+    return "gif";
+  }
+  if (buffer.toString("ascii", 0, 4) === "RIFF" && buffer.toString("ascii", 8, 12) === "WEBP") {
+    return "webp";
+  }
+  return null;
+}
+
+// File name of another rendition of a stored image (null for external or pre-pipeline images)
+function getRenditionName(image, rendition) {
+  if (!image || image.startsWith("http") || !RENDITION_SUFFIX_PATTERN.test(image)) {
+    return null;
+  }
+  return image.replace(RENDITION_SUFFIX_PATTERN, `-${rendition}.webp`);
+}
+
+// Resize, auto-rotate and re-encode an upload; metadata (EXIF, GPS, ...) is not copied
+async function saveImageRenditions(buffer, prefix = "image") {
+  if (!detectImageType(buffer)) {
+    throw new Error("Only image files are allowed!");
+  }
+
+  // Valid magic bytes but an undecodable body is rejected the same way
+  try {
+    await sharp(buffer).metadata();
+  } catch (error) {
+    throw new Error("Only image files are allowed!");
+  }
+
+  const baseName = `${prefix}-${Date.now()}-${crypto.randomBytes(6).toString("hex")}`;
+  const written = [];
+
+  try {
+    for (const [rendition, size] of Object.entries(RENDITIONS)) {
+      const fileName = `${baseName}-${rendition}.webp`;
+      await sharp(buffer)
+        .rotate()
+        .resize({ width: size, height: size, fit: "inside", withoutEnlargement: true })
+        .webp({ quality: WEBP_QUALITY })
+        .toFile(path.join(UPLOADS_DIR, fileName));
+      written.push(fileName);
+    }
+  } catch (error) {
+    await Promise.all(written.map((fileName) => fs.rm(path.join(UPLOADS_DIR, fileName), { force: true })));
+    throw error;
+  }
+
+  return `${baseName}-${STORED_RENDITION}.webp`;
+}
+
+module.exports = {
+  RENDITIONS,
+  detectImageType,
+  getRenditionName,
+  saveImageRenditions,
+};
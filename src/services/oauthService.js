@@ -0,0 +1,66 @@
+const crypto = require("crypto");
+const { createOidcProvider } = require("./oidcProvider");
+
+// Registry of social login providers.
+// A provider is any object with:
+//   name, displayName, redirectUri (optional override)
+//   getAuthorizationUrl({ state, nonce, codeChallenge, redirectUri }) -> Promise<string>
+//   getProfile({ code, codeVerifier, nonce, redirectUri }) -> Promise<{ subject, email, emailVerified, name }>
+// Generic OIDC providers are configured from the environment; others can be added with registerProvider().
+
+const providers = new Map();
+
+function registerProvider(provider) {
+  if (!/^[a-z][a-z0-9_-]*$/.test(provider.name)) {
+    throw new Error(`Invalid OAuth provider name "${provider.name}"`);
+  }
+  providers.set(provider.name, provider);
+}
+
+function getProvider(name) {
+  return providers.get(name) || null;
+}
+
+function listProviders() {
+  return [...providers.values()].map(({ name, displayName }) => ({ name, displayName }));
+}
+
+// OAUTH_PROVIDERS=google,mock with OAUTH_GOOGLE_ISSUER, OAUTH_GOOGLE_CLIENT_ID, ... per provider
+function loadProvidersFromEnv(env = process.env) {
+  const names = (env.OAUTH_PROVIDERS || "")
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  for (const name of names) {
+    const prefix = `OAUTH_${name.toUpperCase().replace(/-/g, "_")}_`;
+    registerProvider(
+      createOidcProvider({
+        name,
+        displayName: env[`${prefix}NAME`],
+        issuer: env[`${prefix}ISSUER`],
+        clientId: env[`${prefix}CLIENT_ID`],
+        clientSecret: env[`${prefix}CLIENT_SECRET`],
+        scopes: env[`${prefix}SCOPES`],
+        redirectUri: env[`${prefix}REDIRECT_URI`],
+      })
+    );
+  }
+}
+
+// PKCE (RFC 7636) verifier and its S256 challenge
+function generatePkcePair() {
+  const codeVerifier = crypto.randomBytes(32).toString("base64url");
+  const codeChallenge = crypto.createHash("sha256").update(codeVerifier).digest("base64url");
+  return { codeVerifier, codeChallenge };
+}
+
+loadProvidersFromEnv();
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders,
+  loadProvidersFromEnv,
+  generatePkcePair,
+};
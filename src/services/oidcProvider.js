@@ -0,0 +1,155 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+// Generic OpenID Connect provider (authorization code flow with PKCE).
+// Works with any issuer that publishes /.well-known/openid-configuration.
+
+const HTTP_TIMEOUT_MS = 10000;
+const DISCOVERY_CACHE_MS = 60 * 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ["RS256", "RS384", "RS512", "PS256", "PS384", "PS512", "ES256", "ES384", "ES512"];
+
+async function fetchJson(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: "application/json", ...options.headers },
+    signal: AbortSignal.timeout(HTTP_TIMEOUT_MS),
+  });
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const reason = body.error_description || body.error || response.statusText;
+    throw new Error(`OIDC request to ${url} failed (${response.status}): ${reason}`);
+  }
+
+  return body;
+}
+
+function createOidcProvider({ name, displayName, issuer, clientId, clientSecret, scopes, redirectUri }) {
+  if (!issuer || !clientId) {
+    throw new Error(`OIDC provider "${name}" needs an issuer and a client id`);
+  }
+
+  const issuerUrl = issuer.replace(/\/+$/, "");
+  let discovery = null;
+  let discoveredAt = 0;
+  let keys = new Map();
+
+  async function getDiscovery() {
+    if (!discovery || Date.now() - discoveredAt > DISCOVERY_CACHE_MS) {
+      discovery = await fetchJson(`${issuerUrl}/.well-known/openid-configuration`);
+      discoveredAt = Date.now();
+      keys = new Map();
+    }
+    return discovery;
+  }
+
+  // Look up a signing key, refetching the key set once in case keys were rotated
+  async function getSigningKey(kid) {
+    if (!keys.has(kid)) {
+      const { jwks_uri: jwksUri } = await getDiscovery();
+      const { keys: jwks = [] } = await fetchJson(jwksUri);
+      keys = new Map(
+        jwks
+          .filter((jwk) => !jwk.use || jwk.use === "sig")
+          .map((jwk) => [jwk.kid, crypto.createPublicKey({ key: jwk, format: "jwk" })])
+      );
+    }
+
+    const key = keys.get(kid) || (kid === undefined && keys.size === 1 ? [...keys.values()][0] : null);
+    if (!key) {
+      throw new Error(`No signing key "${kid}" published by ${issuerUrl}`);
+    }
+    return key;
+  }
+
+  async function verifyIdToken(idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+      throw new Error("Provider returned a malformed ID token");
+    }
+
+    const { issuer: expectedIssuer } = await getDiscovery();
+    const key = await getSigningKey(decoded.header.kid);
+    const claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: expectedIssuer,
+      audience: clientId,
+    });
+
+    if (claims.nonce !== nonce) {
+      throw new Error("ID token nonce does not match the login request");
+    }
+    return claims;
+  }
+
+  return {
+    name,
+    displayName: displayName || name,
+    redirectUri,
+
+    // URL the browser is sent to; state, nonce and the PKCE challenge come from the caller
+    async getAuthorizationUrl({ state, nonce, codeChallenge, redirectUri: callbackUrl }) {
+      const { authorization_endpoint: authorizationEndpoint } = await getDiscovery();
+      const params = new URLSearchParams({
+        response_type: "code",
+        client_id: clientId,
+        redirect_uri: callbackUrl,
+        scope: scopes || "openid email profile",
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: "S256",
+      });
+      return `${authorizationEndpoint}?${params.toString()}`;
+    },
+
+    // Exchange the authorization code and return a normalised profile
+    async getProfile({ code, codeVerifier, nonce, redirectUri: callbackUrl }) {
+      const { token_endpoint: tokenEndpoint, userinfo_endpoint: userinfoEndpoint } = await getDiscovery();
+
+      const params = new URLSearchParams({
+        grant_type: "authorization_code",
+        code,
+        redirect_uri: callbackUrl,
+        code_verifier: codeVerifier,
+      });
+      const headers = { "Content-Type": "application/x-www-form-urlencoded" };
+
+      // Confidential clients use HTTP Basic auth; public clients identify themselves in the body
+      if (clientSecret) {
+        const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString("base64")}`;
+      } else {
+        params.set("client_id", clientId);
+      }
+
+      const tokens = await fetchJson(tokenEndpoint, { method: "POST", headers, body: params.toString() });
+      if (!tokens.id_token) {
+        throw new Error("Provider did not return an ID token");
+      }
+
+      let claims = await verifyIdToken(tokens.id_token, nonce);
+
+      // Some providers only put email/profile claims on the userinfo endpoint
+      if (!claims.email && userinfoEndpoint && tokens.access_token) {
+        const userinfo = await fetchJson(userinfoEndpoint, {
+          headers: { Authorization: `Bearer ${tokens.access_token}` },
+        });
+        if (userinfo.sub === claims.sub) {
+          claims = { ...userinfo, ...claims, email: userinfo.email, email_verified: userinfo.email_verified };
+        }
+      }
+
+      return {
+        subject: String(claims.sub),
+        email: claims.email ? String(claims.email).toLowerCase() : null,
+        emailVerified: claims.email_verified === true || claims.email_verified === "true",
+        name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(" ") || null,
+      };
+    },
+  };
+}
+
+module.exports = {
+  createOidcProvider,
+};
@@ -0,0 +1,116 @@
+const crypto = require("crypto");
+
+// Time-based one-time passwords (RFC 6238) compatible with Google Authenticator, Authy, etc.
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/[\s=]/g, "");
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 character in secret");
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+// HMAC-based one-time password (RFC 4226) for a given counter
+function generateHotp(secret, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(code % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+// Generate a random base32 secret (160 bits, as recommended by RFC 4226)
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// Build the otpauth:// URI that authenticator apps read from a QR code
+function getOtpauthUrl(accountName, secret, issuer) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// Generate the code for a point in time (defaults to now)
+function generateToken(secret, timestamp = Date.now()) {
+  return generateHotp(secret, Math.floor(timestamp / 1000 / STEP_SECONDS));
+}
+
+// Check a code, allowing `window` steps of clock drift either way.
+// Returns the matching time step (so callers can reject replays) or null.
+function verifyToken(secret, token, window = 1) {
+  if (!secret || !token || !/^\d{6}$/.test(String(token).trim())) {
+    return null;
+  }
+
+  const candidate = Buffer.from(String(token).trim());
+  const currentStep = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+  for (let i = -window; i <= window; i++) {
+    const expected = Buffer.from(generateHotp(secret, currentStep + i));
+    if (crypto.timingSafeEqual(candidate, expected)) {
+      return currentStep + i;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  generateSecret,
+  getOtpauthUrl,
+  generateToken,
+  verifyToken,
+};
@@ -0,0 +1,82 @@
+// Minimal RFC 4180 CSV reader/writer (quoted fields, escaped quotes, CRLF or LF line endings)
+
+// Parse CSV text into an array of rows, each an array of string fields
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Ignore a UTF-8 byte order mark added by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+// Format one CSV line, quoting fields that contain commas, quotes or line breaks
+const toCsvRow = (values) => {
+  return values
+    .map(value => {
+      const text = value === undefined || value === null ? '' : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(',');
+};
+
+// Spreadsheets run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Prefix formula-like text with ' so spreadsheets show it as text (CSV injection)
+const escapeFormula = (value) => {
+  return typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value;
+};
+
+// Undo escapeFormula when a previously exported file is imported again
+const unescapeFormula = (value) => {
+  return typeof value === 'string' && value.startsWith('\'') && FORMULA_PREFIX.test(value.slice(1))
+    ? value.slice(1)
+    : value;
+};
+
+module.exports = {
+  parseCsv,
+  toCsvRow,
+  escapeFormula,
+  unescapeFormula
+};
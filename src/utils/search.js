@@ -0,0 +1,172 @@
+// Escape user input before using it in a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Normalise a search query for storage and matching: "  Blue   SHIRT " -> "blue shirt"
+const normalizeQuery = (value) => {
+  return String(value)
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .slice(0, 100);
+};
+
+// Trim punctuation at the edges of a word ("t-shirt" stays one word)
+const trimWord = (word) => word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+
+// Lowercase words of a text of any length, for building the search vocabulary
+const extractWords = (text) => {
+  return String(text || '')
+    .toLowerCase()
+    .split(/\s+/)
+    .map(trimWord)
+    .filter(Boolean);
+};
+
+// Lowercase words of a name plus the parts of hyphenated words ("T-Shirt" -> t-shirt, t, shirt),
+// stored on products and categories so suggestions can prefix-match them with an index
+const getSearchTokens = (name) => {
+  const words = extractWords(name);
+  const parts = words.flatMap(word => word.split(/[^\p{L}\p{N}]+/u));
+  return [...new Set([...words, ...parts])].filter(Boolean);
+};
+
+// Split a search query the way $text reads it: "quoted phrases" are kept whole
+// and -words are exclusions, everything else is a plain word
+const tokenize = (value) => {
+  const tokens = { words: [], phrases: [], excluded: [] };
+
+  const rest = normalizeQuery(value).replace(/"([^"]*)"?/g, (match, phrase) => {
+    const trimmed = phrase.trim();
+    if (trimmed) {
+      tokens.phrases.push(trimmed);
+    }
+    return ' ';
+  });
+
+  for (const token of rest.split(' ')) {
+    const word = trimWord(token);
+    if (!word) {
+      continue;
+    }
+    (token.startsWith('-') ? tokens.excluded : tokens.words).push(word);
+  }
+
+  return tokens;
+};
+
+// Build a $text search string from tokens (the inverse of tokenize)
+const buildTextSearch = ({ words, phrases = [], excluded = [] }) => {
+  return [
+    ...words,
+    ...phrases.map(phrase => `"${phrase}"`),
+    ...excluded.map(word => `-${word}`)
+  ].join(' ');
+};
+
+// Number of single-character edits needed to turn one word into another
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// Closest known word to a (possibly misspelled) term: 1 typo allowed up to 5 letters, 2 above
+const findClosestWord = (term, vocabulary) => {
+  if (term.length < 3) {
+    return null;
+  }
+
+  const maxDistance = term.length <= 5 ? 1 : 2;
+  let closest = null;
+  let closestDistance = maxDistance + 1;
+
+  for (const word of vocabulary) {
+    if (Math.abs(word.length - term.length) >= closestDistance) {
+      continue;
+    }
+    const distance = levenshtein(term, word);
+    if (distance < closestDistance) {
+      closest = word;
+      closestDistance = distance;
+    }
+  }
+
+  return closest;
+};
+
+const escapeHtml = (value) => {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+// Words starting with any of the terms; plurals are trimmed so "shirts" also marks "shirt"
+const buildTermPattern = (terms) => {
+  const roots = terms.map(term => escapeRegex(term.length > 4 ? term.replace(/(es|s)$/, '') : term));
+  return new RegExp(`(^|[^\\p{L}\\p{N}])((?:${roots.join('|')})[\\p{L}\\p{N}]*)`, 'giu');
+};
+
+// HTML-escape text and wrap matched words in <mark> tags
+const highlightMatches = (text, terms) => {
+  if (!text || terms.length === 0) {
+    return text ? escapeHtml(text) : text;
+  }
+
+  let result = '';
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(buildTermPattern(terms))) {
+    const start = match.index + match[1].length;
+    result += `${escapeHtml(text.slice(lastIndex, start))}<mark>${escapeHtml(match[2])}</mark>`;
+    lastIndex = start + match[2].length;
+  }
+
+  return result + escapeHtml(text.slice(lastIndex));
+};
+
+// Short highlighted excerpt around the first match (or the start of the text)
+const buildSnippet = (text, terms, length = 160) => {
+  if (!text) {
+    return text;
+  }
+
+  const match = terms.length > 0 ? buildTermPattern(terms).exec(text) : null;
+  let start = match ? Math.max(0, match.index - Math.floor(length / 3)) : 0;
+
+  // Don't start in the middle of a word
+  if (start > 0) {
+    const nextSpace = text.indexOf(' ', start);
+    start = nextSpace === -1 || nextSpace > (match ? match.index : start) ? start : nextSpace + 1;
+  }
+
+  const end = Math.min(text.length, start + length);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+
+  return `${prefix}${highlightMatches(text.slice(start, end), terms)}${suffix}`;
+};
+
+module.exports = {
+  escapeRegex,
+  normalizeQuery,
+  extractWords,
+  getSearchTokens,
+  tokenize,
+  buildTextSearch,
+  levenshtein,
+  findClosestWord,
+  highlightMatches,
+  buildSnippet
+};
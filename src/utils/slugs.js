@@ -0,0 +1,44 @@
+// Turn a name into a URL slug, e.g. "Blue Shirt!" -> "blue-shirt"
+const slugify = (text) => {
+  return text
+    .toLowerCase()
+    .replace(/[^a-zA-Z0-9]/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+};
+
+// Pick a slug no other document uses, now or as an old slug: "blue-shirt", then "blue-shirt-2", ...
+const generateUniqueSlug = async (Model, name, excludeId) => {
+  const base = slugify(name) || 'item';
+  const pattern = new RegExp(`^${base}(-\\d+)?$`);
+
+  const existing = await Model.find({
+    _id: { $ne: excludeId },
+    $or: [{ slug: pattern }, { previousSlugs: pattern }]
+  }).select('slug previousSlugs');
+
+  const taken = new Set(existing.flatMap(doc => [doc.slug, ...doc.previousSlugs]));
+
+  let slug = base;
+  for (let suffix = 2; taken.has(slug); suffix++) {
+    slug = `${base}-${suffix}`;
+  }
+  return slug;
+};
+
+// Give a renamed document a new slug, keeping the old one so existing links can be redirected
+const assignSlug = async (doc) => {
+  const previousSlug = doc.slug;
+  doc.slug = await generateUniqueSlug(doc.constructor, doc.name, doc._id);
+
+  if (previousSlug && previousSlug !== doc.slug) {
+    doc.previousSlugs.addToSet(previousSlug);
+  }
+  doc.previousSlugs.pull(doc.slug);
+};
+
+module.exports = {
+  slugify,
+  generateUniqueSlug,
+  assignSlug
+};
@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+const { RENDITIONS, getRenditionName } = require('../services/imageService');
+
+const UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
+
+// Convert a stored image filename to the URL it is served from
+const getUploadUrl = (image) => {
+  if (!image) {
+    return image;
+  }
+
+  // If it's already a full URL or upload path, return as is
+  if (image.startsWith('http') || image.startsWith('/uploads/')) {
+    return image;
+  }
+
+  return `/uploads/${image}`;
+};
+
+// Rendition URLs of an image, e.g. { thumbnail, medium, large }.
+// External and older uploads have no renditions, so every size points at the original.
+const getImageSrcset = (image) => {
+  if (!image) {
+    return null;
+  }
+
+  return Object.fromEntries(Object.keys(RENDITIONS).map(rendition => [
+    rendition,
+    getUploadUrl(getRenditionName(image, rendition) || image)
+  ]));
+};
+
+// Delete a file (and its renditions) from the uploads directory (external URLs are ignored)
+const deleteUploadedFile = (image) => {
+  if (!image || image.startsWith('http')) {
+    return;
+  }
+
+  const fileName = path.basename(image);
+  const fileNames = new Set([fileName, ...Object.keys(RENDITIONS).map(rendition => getRenditionName(fileName, rendition) || fileName)]);
+
+  fileNames.forEach(name => {
+    try {
+      const filePath = path.join(UPLOADS_DIR, name);
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+        console.log(`Deleted uploaded file: ${filePath}`);
+      }
+    } catch (error) {
+      console.error(`Error deleting uploaded file ${name}: ${error.message}`);
+    }
+  });
+};
+
+module.exports = {
+  getUploadUrl,
+  getImageSrcset,
+  deleteUploadedFile
+};